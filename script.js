@@ -1,288 +1,973 @@
 // JavaScript Events & Basic Interactivity Demo
-// This file contains event handlers for various interactive elements
+// This file contains event handlers for various interactive elements. The
+// widgets and services they build on are modules in src/, loaded before it.
 
 document.addEventListener('DOMContentLoaded', function() {
-    // Initialize all event listeners
-    initializeMouseEvents();
-    initializeClickEvents();
-    initializeFormEvents();
-    initializeKeyboardEvents();
-    initializeFocusEvents();
-    initializeWindowEvents();
-    initializeInteractiveFeatures();  // Part 2: Building Interactive Elements (FAQ, Tabs, Dropdown)
-    initializeDynamicContent();
-
-    // Initialize window size display
-    updateWindowSize();
-    updateScrollPosition();
+    // Stand-in backend for the form submission demo
+    if (SUBMISSION_CONFIG.useMockServer) {
+        const params = new URLSearchParams(window.location.search);
+        installMockServer(MOCK_ROUTES, {
+            failureRate: parseFloat(params.get('mockFailureRate')) || 0
+        });
+    }
+
+    // Theme first, so every section starts with the right colours
+    defineComponent({ name: 'theme', mount: initializeTheme });
+    defineComponent({ name: 'language', mount: initializeLanguage });
+
+    defineComponent({ name: 'mouse', root: '#section-mouse-events', mount: initializeMouseEvents });
+    defineComponent({ name: 'click', root: '#section-click-events', mount: initializeClickEvents });
+    defineComponent({ name: 'form', root: '#section-form-events', mount: initializeFormEvents });
+    defineComponent({ name: 'keyboard', root: '#section-keyboard-events', mount: initializeKeyboardEvents });
+    defineComponent({ name: 'focus', root: '#section-focus-blur-events', mount: initializeFocusEvents });
+    defineComponent({ name: 'window', root: '#section-window-events', mount: initializeWindowEvents });
+    defineComponent({ name: 'lifecycle', root: '#section-window-events', mount: initializePageLifecycle });
+    defineComponent({ name: 'scroll-nav', mount: initializeScrollNavigation });
+
+    // Part 2: Building Interactive Elements (FAQ, Tabs, Dropdown)
+    defineComponent({ name: 'faq', root: '.faq-section', mount: initializeFAQ });
+    defineComponent({ name: 'tabs', root: '.tabs-section', mount: initializeTabs });
+    defineComponent({ name: 'dropdown', root: '.dropdown-section', mount: initializeDropdown });
+
+    defineComponent({ name: 'dynamic-list', root: '#section-dynamic-content-management', mount: initializeDynamicContent });
+    defineComponent({ name: 'event-log', root: '#section-event-log', mount: initializeEventLog });
+    defineComponent({ name: 'session-recorder', root: '#section-session-recorder', mount: initializeSessionRecorder });
+    defineComponent({ name: 'shortcuts', mount: initializeShortcuts });
+
+    mountAllComponents();
 });
 
 // Mouse Events Section
-function initializeMouseEvents() {
-    const mouseTarget = document.getElementById('mouse-target');
-    const mouseLog = document.getElementById('mouse-log');
-
-    function addMouseLogEntry(event) {
-        const timestamp = new Date().toLocaleTimeString();
-        const entry = document.createElement('li');
-        entry.textContent = `[${timestamp}] ${event.type} at (${event.clientX}, ${event.clientY})`;
-        mouseLog.appendChild(entry);
+// Built on Pointer Events, so mouse, touch and pen input all arrive through
+// the same handlers. Gestures are recognised on top, and a canvas overlay
+// draws a live trail and an accumulated heatmap of pointer positions.
+function initializeMouseEvents(ctx) {
+    const mouseTarget = ctx.require('#mouse-target');
+    const mouseLog = ctx.require('#mouse-log');
+    const canvas = ctx.require('#pointer-canvas');
+    const gestureStatus = ctx.require('#gesture-status');
+    const showTrail = ctx.require('#show-trail');
+    const showHeatmap = ctx.require('#show-heatmap');
+    const clearHeatmapBtn = ctx.require('#clear-heatmap');
+
+    // Show only the last 10 pointer entries from the shared log
+    createEventLogView(eventLog, mouseLog, { categories: ['pointer'], limit: 10, signal: ctx.signal });
+
+    // Position relative to the target, independent of its hover scale
+    function localPoint(e) {
+        const rect = mouseTarget.getBoundingClientRect();
+        const scaleX = rect.width ? mouseTarget.offsetWidth / rect.width : 1;
+        const scaleY = rect.height ? mouseTarget.offsetHeight / rect.height : 1;
+        return {
+            x: Math.round((e.clientX - rect.left) * scaleX),
+            y: Math.round((e.clientY - rect.top) * scaleY)
+        };
+    }
 
-        // Keep only last 10 entries
-        while (mouseLog.children.length > 10) {
-            mouseLog.removeChild(mouseLog.firstChild);
-        }
+    function addPointerLogEntry(e) {
+        const point = localPoint(e);
+        const pen = e.pointerType === 'pen' ? ` tilt=(${e.tiltX}°, ${e.tiltY}°)` : '';
+        eventLog.log('pointer', `${e.type} #${e.pointerId} ${e.pointerType} at (${point.x}, ${point.y}) pressure=${e.pressure.toFixed(2)}${pen}`, {
+            severity: 'debug',
+            details: {
+                type: e.type,
+                pointerId: e.pointerId,
+                pointerType: e.pointerType,
+                isPrimary: e.isPrimary,
+                x: point.x,
+                y: point.y,
+                pressure: e.pressure,
+                tiltX: e.tiltX,
+                tiltY: e.tiltY,
+                width: e.width,
+                height: e.height
+            }
+        });
     }
 
-    mouseTarget.addEventListener('mouseenter', addMouseLogEntry);
-    mouseTarget.addEventListener('mouseleave', addMouseLogEntry);
-    mouseTarget.addEventListener('mousemove', throttle(addMouseLogEntry, 100));
-}
+    ['pointerenter', 'pointerleave', 'pointerdown', 'pointerup', 'pointercancel'].forEach(type => {
+        ctx.on(mouseTarget, type, addPointerLogEntry);
+    });
+    ctx.on(mouseTarget, 'pointermove', throttle(addPointerLogEntry, 100));
+
+    // Gestures
+    createGestureRecognizer(mouseTarget, { signal: ctx.signal });
+
+    ctx.on(mouseTarget, 'gesture', function(e) {
+        const detail = e.detail;
+        let key = `mouse.gestures.${detail.type}`;
+        let params = {};
+        if (detail.type === 'swipe') {
+            key = `mouse.gestures.swipe.${detail.direction}`;
+        } else if (detail.type === 'pinch') {
+            params = { scale: Number(detail.scale.toFixed(2)) };
+        } else if (detail.type === 'drag') {
+            key = `mouse.gestures.drag.${detail.phase}`;
+            params = { dx: detail.dx, dy: detail.dy };
+        }
+        i18n.localize(gestureStatus, key, params);
 
-// Click Events Section
-function initializeClickEvents() {
-    const clickButton = document.getElementById('click-button');
-    const doubleClickButton = document.getElementById('double-click-button');
-    const toggleButton = document.getElementById('toggle-button');
-    const clickCount = document.getElementById('click-count');
+        // Drag and pinch fire continuously; only log where they start and end
+        if (detail.phase === 'move') return;
+        eventLog.log('pointer', t(key, params), { details: detail });
+    });
 
-    let count = 0;
+    // Trail / heatmap overlay
+    const overlay = createPointerOverlay(canvas, mouseTarget, { signal: ctx.signal });
 
-    clickButton.addEventListener('click', function() {
-        count++;
-        clickCount.textContent = count;
-        this.textContent = `Clicked ${count} time${count !== 1 ? 's' : ''}!`;
+    ctx.on(mouseTarget, 'pointermove', function(e) {
+        // Coalesced events give the full-resolution path on fast moves
+        const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (events.length ? events : [e]).forEach(point => {
+            const local = localPoint(point);
+            overlay.addPoint(e.pointerId, local.x, local.y, e.pressure || 0.5);
+        });
     });
 
-    doubleClickButton.addEventListener('dblclick', function() {
-        alert('Double-click detected! 🎯');
-        this.style.background = 'linear-gradient(135deg, #9c27b0 0%, #ba68c8 100%)';
-        setTimeout(() => {
-            this.style.background = '';
-        }, 500);
+    ctx.on(showTrail, 'change', function() {
+        overlay.setLayers({ trail: this.checked });
     });
 
-    toggleButton.addEventListener('click', function() {
-        document.body.classList.toggle('dark-mode');
-        this.textContent = document.body.classList.contains('dark-mode') ?
-            'Switch to Light Mode' : 'Toggle Background';
+    ctx.on(showHeatmap, 'change', function() {
+        overlay.setLayers({ heatmap: this.checked });
     });
+
+    ctx.on(clearHeatmapBtn, 'click', overlay.clearHeatmap);
+
+    overlay.setLayers({ trail: showTrail.checked, heatmap: showHeatmap.checked });
 }
 
-// Form Events Section
-function initializeFormEvents() {
-    const form = document.getElementById('demo-form');
-    const nameInput = document.getElementById('name-input');
-    const emailInput = document.getElementById('email-input');
-    const messageTextarea = document.getElementById('message-textarea');
-    const formLog = document.getElementById('form-log');
+// Gesture Recognizer
+// Turns raw pointer events on an element into 'gesture' CustomEvents:
+//   tap, longpress, swipe (direction), drag (start/move/end), pinch (start/move/end)
+const GESTURE_CONFIG = {
+    moveTolerance: 10,       // px a tap/long-press may wander
+    tapTimeout: 250,         // ms
+    longPressDelay: 500,     // ms
+    swipeDistance: 50,       // px
+    swipeTimeout: 400        // ms
+};
+
+function createGestureRecognizer(element, options = {}) {
+    const on = listenerBinder(options.signal);
+    const config = Object.assign({}, GESTURE_CONFIG, options);
+    const pointers = new Map();
+    let pinchStartDistance = null;
+
+    function emit(detail) {
+        element.dispatchEvent(new CustomEvent('gesture', { bubbles: true, detail: detail }));
+    }
 
-    // Custom validation functions (no HTML5 validation)
-    function validateEmail(email) {
-        // Custom email validation regex pattern
-        const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailPattern.test(email.trim());
+    function distanceBetween(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
     }
 
-    function validateName(name) {
-        // Name must be at least 2 characters and contain only letters and spaces
-        const namePattern = /^[a-zA-Z\s]{2,}$/;
-        return name.trim().length >= 2 && namePattern.test(name.trim());
+    function currentPinchDistance() {
+        const [first, second] = Array.from(pointers.values());
+        return distanceBetween(first, second);
     }
 
-    function validateMessage(message) {
-        // Message must be between 10 and 100 characters
-        const trimmed = message.trim();
-        return trimmed.length >= 10 && trimmed.length <= 100;
+    on(element, 'pointerdown', function(e) {
+        try {
+            // Keep receiving moves when the pointer leaves the element mid-gesture
+            element.setPointerCapture(e.pointerId);
+        } catch (err) {
+            // Synthetic (replayed) pointers can't be captured
+        }
+
+        const state = {
+            startX: e.clientX,
+            startY: e.clientY,
+            x: e.clientX,
+            y: e.clientY,
+            startTime: performance.now(),
+            dragging: false,
+            longPressed: false,
+            timer: null
+        };
+        state.timer = setTimeout(() => {
+            if (!state.dragging && pointers.size === 1) {
+                state.longPressed = true;
+                emit({ type: 'longpress', pointerType: e.pointerType, x: state.x, y: state.y });
+            }
+        }, config.longPressDelay);
+        pointers.set(e.pointerId, state);
+
+        if (pointers.size === 2) {
+            // A second finger turns any drag into a pinch
+            pointers.forEach(pointer => clearTimeout(pointer.timer));
+            pinchStartDistance = currentPinchDistance();
+            emit({ type: 'pinch', phase: 'start', scale: 1 });
+        }
+    });
+
+    on(element, 'pointermove', function(e) {
+        const state = pointers.get(e.pointerId);
+        if (!state) return;
+        state.x = e.clientX;
+        state.y = e.clientY;
+
+        if (pointers.size === 2 && pinchStartDistance) {
+            emit({ type: 'pinch', phase: 'move', scale: currentPinchDistance() / pinchStartDistance });
+            return;
+        }
+
+        const dx = Math.round(state.x - state.startX);
+        const dy = Math.round(state.y - state.startY);
+        if (!state.dragging && Math.hypot(dx, dy) > config.moveTolerance && !state.longPressed) {
+            state.dragging = true;
+            clearTimeout(state.timer);
+            emit({ type: 'drag', phase: 'start', dx: dx, dy: dy, pointerType: e.pointerType });
+        } else if (state.dragging) {
+            emit({ type: 'drag', phase: 'move', dx: dx, dy: dy, pointerType: e.pointerType });
+        }
+    });
+
+    function end(e) {
+        const state = pointers.get(e.pointerId);
+        if (!state) return;
+        clearTimeout(state.timer);
+
+        if (pinchStartDistance) {
+            const scale = currentPinchDistance() / pinchStartDistance;
+            pointers.delete(e.pointerId);
+            pinchStartDistance = null;
+            // The remaining finger starts fresh so it doesn't register as a swipe
+            pointers.clear();
+            emit({ type: 'pinch', phase: 'end', scale: scale });
+            return;
+        }
+
+        pointers.delete(e.pointerId);
+        if (e.type === 'pointercancel') return;
+
+        const dx = Math.round(state.x - state.startX);
+        const dy = Math.round(state.y - state.startY);
+        const distance = Math.hypot(dx, dy);
+        const duration = performance.now() - state.startTime;
+
+        if (distance >= config.swipeDistance && duration <= config.swipeTimeout) {
+            const direction = Math.abs(dx) > Math.abs(dy) ?
+                (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up');
+            if (state.dragging) emit({ type: 'drag', phase: 'end', dx: dx, dy: dy, pointerType: e.pointerType });
+            emit({ type: 'swipe', direction: direction, distance: Math.round(distance), duration: Math.round(duration), pointerType: e.pointerType });
+        } else if (state.dragging) {
+            emit({ type: 'drag', phase: 'end', dx: dx, dy: dy, pointerType: e.pointerType });
+        } else if (!state.longPressed && distance <= config.moveTolerance && duration <= config.tapTimeout) {
+            emit({ type: 'tap', pointerType: e.pointerType, x: state.x, y: state.y });
+        }
     }
 
-    function addFormLogEntry(message) {
-        const timestamp = new Date().toLocaleTimeString();
-        const entry = document.createElement('li');
-        entry.textContent = `[${timestamp}] ${message}`;
-        formLog.appendChild(entry);
+    on(element, 'pointerup', end);
+    on(element, 'pointercancel', end);
 
-        // Auto-scroll to bottom
-        formLog.scrollTop = formLog.scrollHeight;
+    onAbort(options.signal, () => pointers.forEach(pointer => clearTimeout(pointer.timer)));
+}
+
+// Pointer Overlay (trail + heatmap canvas)
+function createPointerOverlay(canvas, target, options = {}) {
+    const on = listenerBinder(options.signal);
+    const context = canvas.getContext('2d');
+    const heatCanvas = document.createElement('canvas');
+    const heatContext = heatCanvas.getContext('2d');
+    const trailLifetime = 800;   // ms a trail point stays visible
+    const trails = new Map();
+    const layers = { trail: true, heatmap: false };
+    let frame = null;
+
+    if (!context || !heatContext) {
+        // No canvas support (or a test DOM) - the tracker still works without drawing
+        return { addPoint: () => {}, setLayers: () => {}, clearHeatmap: () => {} };
     }
 
-    nameInput.addEventListener('input', function() {
-        addFormLogEntry(`Name changed to: "${this.value}"`);
+    // Match the canvas to the target, in device pixels for crisp lines
+    function resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = target.offsetWidth;
+        const height = target.offsetHeight;
+        [canvas, heatCanvas].forEach(element => {
+            element.width = Math.round(width * ratio);
+            element.height = Math.round(height * ratio);
+        });
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        heatContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
 
-        // Real-time name validation
-        if (this.value && !validateName(this.value)) {
-            this.style.borderColor = '#dc3545';
-            addFormLogEntry('⚠️ Name must be at least 2 characters (letters only)');
-        } else if (this.value && validateName(this.value)) {
-            this.style.borderColor = '#28a745';
+    function draw() {
+        frame = null;
+        const now = performance.now();
+        const ratio = window.devicePixelRatio || 1;
+        context.clearRect(0, 0, canvas.width / ratio, canvas.height / ratio);
+
+        if (layers.heatmap) {
+            context.save();
+            context.setTransform(1, 0, 0, 1, 0, 0);
+            context.drawImage(heatCanvas, 0, 0);
+            context.restore();
         }
-    });
 
-    emailInput.addEventListener('blur', function() {
-        if (this.value) {
-            if (validateEmail(this.value)) {
-                addFormLogEntry('✅ Valid email format');
-                this.style.borderColor = '#28a745';
-            } else {
-                addFormLogEntry('❌ Invalid email format (must be user@domain.com)');
-                this.style.borderColor = '#dc3545';
+        let active = false;
+        trails.forEach((points, pointerId) => {
+            const fresh = points.filter(point => now - point.time < trailLifetime);
+            trails.set(pointerId, fresh);
+            if (!layers.trail || fresh.length < 2) return;
+            active = true;
+
+            for (let i = 1; i < fresh.length; i++) {
+                const age = (now - fresh[i].time) / trailLifetime;
+                context.strokeStyle = `rgba(255, 255, 255, ${1 - age})`;
+                context.lineWidth = 2 + fresh[i].pressure * 6;
+                context.lineCap = 'round';
+                context.beginPath();
+                context.moveTo(fresh[i - 1].x, fresh[i - 1].y);
+                context.lineTo(fresh[i].x, fresh[i].y);
+                context.stroke();
             }
+        });
+
+        // Keep animating only while there is a trail left to fade out
+        if (active) frame = requestAnimationFrame(draw);
+    }
+
+    function scheduleDraw() {
+        if (frame === null) frame = requestAnimationFrame(draw);
+    }
+
+    function addPoint(pointerId, x, y, pressure) {
+        if (!trails.has(pointerId)) trails.set(pointerId, []);
+        trails.get(pointerId).push({ x: x, y: y, pressure: pressure, time: performance.now() });
+
+        // Heat builds up from many faint, overlapping spots
+        const gradient = heatContext.createRadialGradient(x, y, 0, x, y, 25);
+        gradient.addColorStop(0, 'rgba(255, 0, 0, 0.08)');
+        gradient.addColorStop(1, 'rgba(255, 0, 0, 0)');
+        heatContext.fillStyle = gradient;
+        heatContext.fillRect(x - 25, y - 25, 50, 50);
+
+        scheduleDraw();
+    }
+
+    // Drop the animation loop while hidden; the trail will have faded by the time we're back
+    const unsubscribe = pageLifecycle.subscribe(function(change) {
+        if (change.type !== 'visibility') return;
+        if (change.hidden && frame !== null) {
+            cancelAnimationFrame(frame);
+            frame = null;
+            trails.clear();
+        } else if (!change.hidden) {
+            scheduleDraw();
         }
     });
 
-    emailInput.addEventListener('input', function() {
-        // Clear validation styling when user starts typing again
-        this.style.borderColor = '';
+    if (window.ResizeObserver) {
+        const resizeObserver = new ResizeObserver(resize);
+        resizeObserver.observe(target);
+        onAbort(options.signal, () => resizeObserver.disconnect());
+    } else {
+        on(window, 'resize', throttle(resize, 250));
+    }
+    resize();
+
+    onAbort(options.signal, function() {
+        unsubscribe();
+        if (frame !== null) cancelAnimationFrame(frame);
     });
 
-    messageTextarea.addEventListener('input', function() {
-        const charCount = this.value.trim().length;
-        addFormLogEntry(`Message length: ${charCount}/100 characters`);
+    return {
+        addPoint: addPoint,
+        setLayers: function(changes) {
+            Object.assign(layers, changes);
+            scheduleDraw();
+        },
+        clearHeatmap: function() {
+            const ratio = window.devicePixelRatio || 1;
+            heatContext.clearRect(0, 0, heatCanvas.width / ratio, heatCanvas.height / ratio);
+            scheduleDraw();
+        }
+    };
+}
 
-        if (this.value && !validateMessage(this.value)) {
-            if (charCount < 10) {
-                addFormLogEntry('⚠️ Message must be at least 10 characters');
-                this.style.borderColor = '#dc3545';
-            } else if (charCount > 100) {
-                addFormLogEntry('⚠️ Message must be less than 100 characters');
-                this.style.borderColor = '#dc3545';
+// Click Events Section
+function initializeClickEvents(ctx) {
+    const clickButton = ctx.require('#click-button');
+    const doubleClickButton = ctx.require('#double-click-button');
+    const toggleButton = ctx.require('#toggle-button');
+    const clickCount = ctx.require('#click-count');
+
+    // The count lives in the app state store, so it survives a reload and undo
+    function renderCount(state) {
+        clickCount.textContent = state.clicks;
+        i18n.localize(clickButton, state.clicks > 0 ? 'click.clicked' : 'click.button', { count: state.clicks });
+    }
+
+    ctx.onCleanup(appState.subscribe('clicks', renderCount));
+    renderCount(appState.getState());
+
+    ctx.on(clickButton, 'click', function() {
+        appState.set({ clicks: appState.get('clicks') + 1 });
+        eventLog.log('click', t('log.messages.click.count', { count: appState.get('clicks') }));
+    });
+
+    ctx.on(doubleClickButton, 'dblclick', function() {
+        eventLog.log('click', t('log.messages.click.doubleClick'));
+        showToast(t('click.doubleClickToast'), { severity: 'success', duration: 3000 });
+        // A class rather than inline styles so the effect layers on top of the theme
+        this.classList.add('flash');
+        setTimeout(() => {
+            this.classList.remove('flash');
+        }, 500);
+    });
+
+    // The toggle button itself is wired up by the theme manager
+    ctx.on(toggleButton, 'click', function() {
+        eventLog.log('click', t('log.messages.click.themeToggle'));
+    });
+}
+
+// Form Events Section
+function initializeFormEvents(ctx) {
+    const form = ctx.require('#demo-form');
+    const submitButton = form.querySelector('[type="submit"]');
+    const messageTextarea = ctx.require('#message-textarea');
+    const phoneInput = ctx.require('#phone-input');
+    const dobInput = ctx.require('#dob-input');
+    const formLog = ctx.require('#form-log');
+    // Only checked in the page: never logged, saved as a draft, queued or sent
+    const passwordFields = ['password', 'confirmPassword'];
+    const messageLength = { min: 10, max: 100 };
+
+    createEventLogView(eventLog, formLog, { categories: ['form'], limit: 50, signal: ctx.signal });
+
+    // The form log is feedback for the user, so it speaks their language:
+    // addFormLogEntry('sent', { id }) logs log.messages.form.sent
+    function addFormLogEntry(key, params, severity = 'info') {
+        eventLog.log('form', t(`log.messages.form.${key}`, params), { severity: severity });
+    }
+
+    initializePasswordFields(ctx, addFormLogEntry);
+
+    // Registered before the validator's listeners, so they see the formatted number.
+    // Deleting is left alone (reformatting would put back the bracket just removed)
+    // and tidied up on blur instead.
+    ctx.on(phoneInput, 'input', function(e) {
+        if (!e.inputType || !e.inputType.startsWith('delete')) applyPhoneFormat(this);
+    });
+    ctx.on(phoneInput, 'blur', function() {
+        applyPhoneFormat(this);
+    });
+
+    // Keep the date picker from offering future birthdays
+    dobInput.max = toDateInputValue(new Date());
+
+    // Counter, length limit, auto-grow and Markdown preview for the message.
+    // The log hears about the limit when it is reached, not on every keystroke.
+    createMessageEditor(messageTextarea, {
+        maxLength: messageLength.max,
+        mode: messageTextarea.dataset.limitMode || 'hard',
+        counter: 'message-counter',
+        autoGrow: true,
+        preview: 'message-preview',
+        previewToggle: 'message-preview-toggle',
+        signal: ctx.signal,
+        onStateChange: function(state) {
+            if (state === 'full') {
+                addFormLogEntry('limitReached', { max: messageLength.max }, 'warning');
+            } else if (state === 'over') {
+                addFormLogEntry('overLimit', { max: messageLength.max }, 'warning');
             }
-        } else if (this.value && validateMessage(this.value)) {
-            this.style.borderColor = '#28a745';
-            addFormLogEntry('✅ Message length is valid');
+        },
+        onTrim: function(info) {
+            const dropped = info.attempted - info.kept;
+            addFormLogEntry('trimmed', { dropped: dropped, attempted: info.attempted }, 'warning');
+            showToast(t('editor.trimmed', { count: dropped }), { severity: 'warning' });
         }
     });
 
-    messageTextarea.addEventListener('keydown', function(e) {
-        const length = this.value.length;
-        if (length > 100 && e.key !== 'Backspace' && e.key !== 'Delete') {
-            e.preventDefault();
-            addFormLogEntry('⚠️ Maximum 100 characters reached');
+    // Declarative schema - the validation engine handles live, blur and submit checks
+    const validator = createFormValidator(form, {
+        name: {
+            element: 'name-input',
+            feedback: 'name-error',
+            validateOn: ['input'],
+            required: i18n.lazy('form.name.required'),
+            minLength: 2,
+            pattern: NAME_PATTERN,
+            messages: {
+                minLength: i18n.lazy('form.name.invalid'),
+                pattern: i18n.lazy('form.name.invalid')
+            }
+        },
+        email: {
+            element: 'email-input',
+            feedback: 'email-error',
+            validateOn: ['blur'],
+            required: i18n.lazy('form.email.required'),
+            pattern: EMAIL_PATTERN,
+            messages: {
+                pattern: i18n.lazy('form.email.invalid')
+            },
+            validMessage: i18n.lazy('form.email.valid')
+        },
+        password: {
+            element: 'password-input',
+            feedback: 'password-error',
+            validateOn: ['blur'],
+            trim: false,
+            required: i18n.lazy('form.password.required'),
+            minLength: PASSWORD_CONFIG.minLength,
+            messages: {
+                minLength: i18n.lazy('form.password.tooShort', { count: PASSWORD_CONFIG.minLength })
+            },
+            validate: function(value, values) {
+                const strength = estimatePasswordStrength(value, [values.name, values.email]);
+                if (strength.warning === 'common') return t('form.password.common');
+                return strength.score >= PASSWORD_CONFIG.minScore || t('form.password.weak');
+            },
+            validMessage: i18n.lazy('form.password.valid')
+        },
+        confirmPassword: {
+            element: 'confirm-password-input',
+            feedback: 'confirm-password-error',
+            validateOn: ['blur'],
+            trim: false,
+            required: i18n.lazy('form.confirmPassword.required'),
+            matches: 'password',
+            messages: {
+                matches: i18n.lazy('form.confirmPassword.mismatch')
+            },
+            validMessage: i18n.lazy('form.confirmPassword.valid')
+        },
+        phone: {
+            element: 'phone-input',
+            feedback: 'phone-error',
+            validateOn: ['blur'],
+            validate: function(value) {
+                const digits = value.replace(/\D/g, '').length;
+                return digits >= PHONE_CONFIG.minDigits && digits <= PHONE_CONFIG.maxDigits;
+            },
+            messages: {
+                validate: i18n.lazy('form.phone.invalid', { min: PHONE_CONFIG.minDigits, max: PHONE_CONFIG.maxDigits })
+            }
+        },
+        dob: {
+            element: 'dob-input',
+            feedback: 'dob-error',
+            validateOn: ['input', 'blur'],
+            validate: validateBirthDate
+        },
+        message: {
+            element: 'message-textarea',
+            feedback: 'message-error',
+            validateOn: ['input'],
+            required: i18n.lazy('form.message.required', messageLength),
+            minLength: messageLength.min,
+            maxLength: messageLength.max,
+            messages: {
+                minLength: i18n.lazy('form.message.tooShort', { count: messageLength.min }),
+                maxLength: i18n.lazy('form.message.tooLong', { count: messageLength.max })
+            },
+            validMessage: i18n.lazy('form.message.valid')
+        }
+    }, {
+        summary: 'form-error-summary',
+        announcer: 'form-status',
+        signal: ctx.signal,
+        onFieldInput: function(name, value) {
+            if (name === 'name') {
+                addFormLogEntry('nameChanged', { value: value });
+            } else if (name === 'phone') {
+                addFormLogEntry('phone', { value: value });
+            } else if (name === 'dob' && value) {
+                addFormLogEntry('dob', { value: value, age: getAge(value) });
+            }
+        },
+        onFieldValidated: function(name, result, trigger) {
+            // Submit errors are reported together by onInvalid
+            if (trigger === 'submit' || result.state === 'neutral') return;
+
+            if (!result.valid) {
+                addFormLogEntry(trigger === 'blur' ? 'error' : 'warning', { message: result.message },
+                    trigger === 'blur' ? 'error' : 'warning');
+            } else if (result.message) {
+                addFormLogEntry('valid', { message: result.message }, 'success');
+            }
+        },
+        onInvalid: function(errors) {
+            Object.values(errors).forEach(error => addFormLogEntry('error', { message: error }, 'error'));
+            addFormLogEntry('fixErrors', null, 'error');
+        },
+        onSubmit: function(data) {
+            const payload = Object.fromEntries(Object.entries(data).filter(([name]) => !passwordFields.includes(name)));
+            eventLog.log('form', t('log.messages.form.validated'), { details: payload });
+
+            // Block double submits while the request is in flight
+            submitButton.disabled = true;
+            i18n.localize(submitButton, 'form.sending');
+            form.setAttribute('aria-busy', 'true');
+
+            submitter.submit(payload)
+                .then(outcome => {
+                    if (outcome.status === 'sent') {
+                        addFormLogEntry('sent', { id: outcome.response.id }, 'success');
+                        showToast(t('form.toast.sent'), { severity: 'success' });
+                    } else {
+                        showToast(t('form.toast.queued'), { severity: 'warning' });
+                    }
+                    drafts.clear();
+                    validator.reset();
+                })
+                .catch(error => {
+                    addFormLogEntry('failed', { error: error.message }, 'error');
+                    if (error.body && error.body.errors) {
+                        Object.values(error.body.errors).forEach(message => addFormLogEntry('error', { message: message }, 'error'));
+                    }
+                    showToast(t('form.toast.failed', { error: error.message }), { severity: 'error', duration: 0 });
+                })
+                .finally(() => {
+                    submitButton.disabled = false;
+                    i18n.localize(submitButton, 'form.submit');
+                    form.removeAttribute('aria-busy');
+                });
         }
     });
 
-    form.addEventListener('submit', function(e) {
-        e.preventDefault();
-        const formData = new FormData(this);
-        const data = Object.fromEntries(formData);
-
-        // Custom validation for all fields
-        let isValid = true;
-        let errors = [];
+    // Submission layer: retries, offline queue and progress reporting
+    const submitter = createFormSubmitter({
+        queue: createSubmissionQueue(),
+        onStatus: (message, severity) => eventLog.log('form', message, { severity: severity }),
+        signal: ctx.signal
+    });
+    submitter.flush();
+
+    // Draft autosave so a reload or crash doesn't lose what was typed
+    const drafts = createDraftAutosave(form, {
+        // By name too: a password being shown is a plain text field
+        exclude: passwordFields,
+        onRestore: () => addFormLogEntry('draftRestored'),
+        onDiscard: () => addFormLogEntry('draftDiscarded'),
+        signal: ctx.signal
+    });
+}
 
-        if (!data.name || !validateName(data.name)) {
-            errors.push('❌ Name is required and must be at least 2 characters');
-            nameInput.style.borderColor = '#dc3545';
-            isValid = false;
-        } else {
-            nameInput.style.borderColor = '#28a745';
+// Password fields of the demo form: live strength meter, a show/hide toggle for
+// both fields and a Caps Lock warning. The log never gets the password itself.
+function initializePasswordFields(ctx, log) {
+    const passwordInput = ctx.require('#password-input');
+    const confirmInput = ctx.require('#confirm-password-input');
+    const nameInput = ctx.require('#name-input');
+    const emailInput = ctx.require('#email-input');
+    const toggle = ctx.require('#password-toggle');
+    const meter = ctx.require('#password-strength');
+    const strengthText = ctx.require('#password-strength-text');
+    const hint = ctx.require('#password-hint');
+    const capsWarning = ctx.require('#caps-lock-warning');
+    const inputs = [passwordInput, confirmInput];
+    let lastScore = null;
+    let capsLock = null;
+
+    function showStrength(password) {
+        if (password === '') {
+            meter.value = 0;
+            i18n.localize(strengthText, null);
+            i18n.localize(hint, null);
+            lastScore = null;
+            return;
         }
 
-        if (!data.email || !validateEmail(data.email)) {
-            errors.push('❌ Valid email is required');
-            emailInput.style.borderColor = '#dc3545';
-            isValid = false;
-        } else {
-            emailInput.style.borderColor = '#28a745';
-        }
+        // The user's own name and email make poor passwords
+        const strength = estimatePasswordStrength(password, [nameInput.value, emailInput.value]);
+        meter.value = strength.score;
+        i18n.localize(strengthText, `form.password.levels.${strength.score}`);
+        i18n.localize(hint, strength.warning ? `form.password.warnings.${strength.warning}` : null);
 
-        if (!data.message || !validateMessage(data.message)) {
-            errors.push('❌ Message is required (10-100 characters)');
-            messageTextarea.style.borderColor = '#dc3545';
-            isValid = false;
-        } else {
-            messageTextarea.style.borderColor = '#28a745';
+        if (strength.score !== lastScore) {
+            lastScore = strength.score;
+            log('passwordStrength', { level: t(`form.password.levels.${strength.score}`), bits: strength.bits },
+                strength.score >= PASSWORD_CONFIG.minScore ? 'info' : 'warning');
         }
+    }
 
-        if (isValid) {
-            addFormLogEntry('✅ Form submitted successfully!');
-            addFormLogEntry('📧 Data validated with custom JavaScript validation');
-            alert('Form submitted successfully! All custom validations passed.');
-            console.log('Validated Form Data:', data);
-            this.reset();
+    function setVisible(visible) {
+        inputs.forEach(input => {
+            input.type = visible ? 'text' : 'password';
+        });
+        toggle.setAttribute('aria-pressed', String(visible));
+    }
 
-            // Reset border colors
-            nameInput.style.borderColor = '';
-            emailInput.style.borderColor = '';
-            messageTextarea.style.borderColor = '';
-        } else {
-            errors.forEach(error => addFormLogEntry(error));
-            addFormLogEntry('❌ Please fix validation errors and try again');
+    // getModifierState() reports Caps Lock on every key event, so check each one
+    function checkCapsLock(e) {
+        if (!e.getModifierState) return;
+        const active = e.getModifierState('CapsLock');
+        if (active === capsLock) return;
+
+        const wasActive = capsLock === true;
+        capsLock = active;
+        i18n.localize(capsWarning, active ? 'form.password.capsLock' : null);
+        if (active) {
+            log('capsLockOn', null, 'warning');
+        } else if (wasActive) {
+            log('capsLockOff');
         }
+    }
+
+    ctx.on(passwordInput, 'input', function() {
+        showStrength(this.value);
+    });
+
+    [nameInput, emailInput].forEach(input => {
+        ctx.on(input, 'input', () => showStrength(passwordInput.value));
+    });
+
+    inputs.forEach(input => {
+        ctx.on(input, 'keydown', checkCapsLock);
+        ctx.on(input, 'keyup', checkCapsLock);
+        // Caps Lock may change while focus is elsewhere; look again on the next key
+        ctx.on(input, 'blur', function() {
+            capsLock = null;
+            i18n.localize(capsWarning, null);
+        });
     });
+
+    ctx.on(toggle, 'click', function() {
+        const visible = this.getAttribute('aria-pressed') !== 'true';
+        setVisible(visible);
+        log(visible ? 'passwordsShown' : 'passwordsHidden');
+    });
+
+    // A reset (e.g. after a successful submit) empties the fields; hide them again too
+    ctx.on(passwordInput.form, 'reset', function() {
+        setVisible(false);
+        showStrength('');
+    });
+
+    // Never leave a password on screen in plain text after unmounting
+    ctx.onCleanup(() => setVisible(false));
+
+    showStrength(passwordInput.value);
 }
 
 // Keyboard Events Section
-function initializeKeyboardEvents() {
-    const keyboardInput = document.getElementById('keyboard-input');
-    const lastKey = document.getElementById('last-key');
-    const keyCode = document.getElementById('key-code');
-    const keyCount = document.getElementById('key-count');
-
-    let keyPressCount = 0;
-
-    keyboardInput.addEventListener('keydown', function(e) {
-        keyCode.textContent = e.keyCode;
-        lastKey.textContent = e.key;
-
-        // Special handling for certain keys
-        if (e.key === 'Enter') {
-            this.value += ' (Enter pressed!) ';
-        } else if (e.key === 'Backspace') {
-            // Prevent backspace from clearing everything
-            e.preventDefault();
-            const currentValue = this.value;
-            this.value = currentValue.slice(0, -1) + ' (Backspace used) ';
-        }
+// Key inspector built on KeyboardEvent.key/code (keyCode and keypress are
+// deprecated) with a timeline of composition and beforeinput events, so IME
+// and international keyboard input can be followed step by step.
+const KEY_LOCATIONS = ['Standard', 'Left', 'Right', 'Numpad'];
+
+// Text transforms must only depend on preceding characters, so that
+// transforming the text before the caret tells us where the caret ends up.
+// Casing follows the page language (e.g. Turkish dotted/dotless i).
+const TEXT_TRANSFORMS = {
+    uppercase: text => text.toLocaleUpperCase(i18n.getLocale()),
+    lowercase: text => text.toLocaleLowerCase(i18n.getLocale()),
+    titlecase: text => text.toLocaleLowerCase(i18n.getLocale())
+        .replace(/(^|\s)(\S)/gu, (match, space, letter) => space + letter.toLocaleUpperCase(i18n.getLocale()))
+};
+
+function initializeKeyboardEvents(ctx) {
+    const keyboardInput = ctx.require('#keyboard-input');
+    const transformSelect = ctx.require('#key-transform');
+    const lastKey = ctx.require('#last-key');
+    const keyCode = ctx.require('#key-code');
+    const keyLocation = ctx.require('#key-location');
+    const keyModifiers = ctx.require('#key-modifiers');
+    const keyRepeat = ctx.require('#key-repeat');
+    const keyComposing = ctx.require('#key-composing');
+    const keyCount = ctx.require('#key-count');
+    const timeline = ctx.require('#key-timeline');
+
+    function renderCount(state) {
+        keyCount.textContent = state.keyPresses;
+    }
+
+    ctx.onCleanup(appState.subscribe('keyPresses', renderCount));
+    renderCount(appState.getState());
+
+    createEventLogView(eventLog, timeline, { categories: ['keyboard'], limit: 30, signal: ctx.signal });
+
+    function describeModifiers(e) {
+        const active = ['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'CapsLock', 'NumLock']
+            .filter(name => e.getModifierState && e.getModifierState(name));
+        return active.length ? active.join(' + ') : 'None';
+    }
+
+    function inspect(e) {
+        lastKey.textContent = e.key === ' ' ? 'Space' : e.key;
+        keyCode.textContent = e.code || '(none)';
+        keyLocation.textContent = KEY_LOCATIONS[e.location] || e.location;
+        keyModifiers.textContent = describeModifiers(e);
+        i18n.localize(keyRepeat, e.repeat ? 'common.yes' : 'common.no');
+        i18n.localize(keyComposing, e.isComposing ? 'common.yes' : 'common.no');
+
+        eventLog.log('keyboard', `${e.type}: key="${e.key}" code="${e.code}"${e.isComposing ? ' (composing)' : ''}${e.repeat ? ' (repeat)' : ''}`, {
+            severity: 'debug',
+            details: {
+                key: e.key,
+                code: e.code,
+                location: KEY_LOCATIONS[e.location],
+                modifiers: describeModifiers(e),
+                repeat: e.repeat,
+                isComposing: e.isComposing
+            }
+        });
+    }
+
+    // Rewrite the value while keeping the caret/selection where the user left it
+    function applyTransform() {
+        const transform = TEXT_TRANSFORMS[transformSelect.value];
+        if (!transform) return;
+
+        const value = keyboardInput.value;
+        const transformed = transform(value);
+        if (transformed === value) return;
+
+        const start = keyboardInput.selectionStart;
+        const end = keyboardInput.selectionEnd;
+        const direction = keyboardInput.selectionDirection;
+        keyboardInput.value = transformed;
+        // Some characters change length (e.g. "ß" -> "SS"), so map each position
+        keyboardInput.setSelectionRange(
+            transform(value.slice(0, start)).length,
+            transform(value.slice(0, end)).length,
+            direction
+        );
+    }
+
+    ctx.on(keyboardInput, 'keydown', inspect);
+
+    ctx.on(keyboardInput, 'keyup', function(e) {
+        // Counted outside the undo history: Mod+Z here belongs to the text box
+        appState.set({ keyPresses: appState.get('keyPresses') + 1 }, { history: false });
+        inspect(e);
     });
 
-    keyboardInput.addEventListener('keyup', function(e) {
-        keyPressCount++;
-        keyCount.textContent = keyPressCount;
+    ctx.on(keyboardInput, 'beforeinput', function(e) {
+        eventLog.log('keyboard', `beforeinput: ${e.inputType}${e.data !== null ? ` "${e.data}"` : ''}${e.isComposing ? ' (composing)' : ''}`, {
+            severity: 'debug'
+        });
     });
 
-    keyboardInput.addEventListener('keypress', function(e) {
-        // Convert to uppercase
-        if (e.key >= 'a' && e.key <= 'z') {
-            e.preventDefault();
-            this.value += e.key.toUpperCase();
-        }
+    ctx.on(keyboardInput, 'input', function(e) {
+        // Leave text alone mid-composition; the IME still owns it
+        if (!e.isComposing) applyTransform();
+    });
+
+    ['compositionstart', 'compositionupdate', 'compositionend'].forEach(type => {
+        ctx.on(keyboardInput, type, function(e) {
+            i18n.localize(keyComposing, type === 'compositionend' ? 'common.no' : 'common.yes');
+            eventLog.log('keyboard', `${type}: "${e.data}"`, { severity: 'debug' });
+            if (type === 'compositionend') applyTransform();
+        });
+    });
+
+    ctx.on(transformSelect, 'change', function() {
+        applyTransform();
+        eventLog.log('keyboard', t('log.messages.keyboard.transform', { transform: this.selectedOptions[0].textContent }));
     });
 }
 
 // Focus & Blur Events Section
-function initializeFocusEvents() {
-    const focusInput = document.getElementById('focus-input');
-    const focusStatus = document.getElementById('focus-status');
+function initializeFocusEvents(ctx) {
+    const focusInput = ctx.require('#focus-input');
+    const focusStatus = ctx.require('#focus-status');
 
-    focusInput.addEventListener('focus', function() {
-        focusStatus.textContent = 'Focused';
+    ctx.on(focusInput, 'focus', function() {
+        i18n.localize(focusStatus, 'focus.focused');
         focusStatus.className = 'status focused';
         focusInput.style.borderColor = '#28a745';
     });
 
-    focusInput.addEventListener('blur', function() {
-        focusStatus.textContent = 'Not Focused';
+    ctx.on(focusInput, 'blur', function() {
+        i18n.localize(focusStatus, 'focus.notFocused');
         focusStatus.className = 'status blurred';
         focusInput.style.borderColor = '#ddd';
     });
 
-    // Additional focus events for visual feedback
-    focusInput.addEventListener('focusin', function() {
-        console.log('Focus in event triggered');
+    // Page-wide focus tracking
+    const currentFocus = ctx.require('#current-focus');
+    const focusHistory = ctx.require('#focus-history');
+    const auditButton = ctx.require('#audit-tab-order');
+    const highlightToggle = ctx.require('#highlight-tab-order');
+    const auditList = ctx.require('#tab-order-list');
+    const auditStatus = ctx.require('#tab-order-status');
+
+    const tracker = createFocusTracker({ signal: ctx.signal });
+
+    tracker.subscribe(function(entry, history) {
+        i18n.localize(currentFocus, `focus.currentValue.${entry.modality}`, { element: entry.description });
+
+        focusHistory.innerHTML = '';
+        history.slice(0, 8).forEach(item => {
+            const li = document.createElement('li');
+            const badge = document.createElement('span');
+            badge.className = `focus-modality ${item.modality}`;
+            i18n.localize(badge, `focus.modalities.${item.modality}`);
+            li.append(badge, ` ${item.description}`);
+            focusHistory.appendChild(li);
+        });
+
+        eventLog.log('focus', t('log.messages.focus.moved', {
+            element: entry.description,
+            modality: t(`focus.modalities.${entry.modality}`)
+        }), { severity: 'debug' });
     });
 
-    focusInput.addEventListener('focusout', function() {
-        console.log('Focus out event triggered');
+    // Tab order audit: every reachable control in order, flagging likely problems
+    function runAudit() {
+        const focusable = getFocusableElements(document);
+        let warnings = 0;
+        auditList.innerHTML = '';
+        document.querySelectorAll('[data-tab-order]').forEach(element => delete element.dataset.tabOrder);
+
+        focusable.forEach((element, index) => {
+            const li = document.createElement('li');
+            const section = element.closest('.demo-section, header, nav');
+            const heading = section && section.querySelector('h2');
+            const problems = [];
+
+            if (element.tabIndex > 0) problems.push(t('focus.problems.tabindex', { tabindex: element.tabIndex }));
+            if (!getAccessibleName(element)) problems.push(t('focus.problems.noName'));
+
+            li.textContent = `${describeElement(element)} — ${heading ? heading.textContent.trim() : (section ? section.tagName.toLowerCase() : t('focus.page'))}`;
+            if (problems.length) {
+                warnings++;
+                li.classList.add('has-warning');
+                li.title = problems.join('; ');
+                li.textContent += ` ⚠ ${problems.join('; ')}`;
+            }
+            ctx.on(li, 'click', () => element.focus());
+            auditList.appendChild(li);
+
+            element.dataset.tabOrder = index + 1;
+        });
+
+        i18n.localize(auditStatus, 'focus.auditResult', { count: focusable.length, warnings: warnings });
+        eventLog.log('focus', t('log.messages.focus.audit', { count: focusable.length, warnings: warnings }), {
+            severity: warnings ? 'warning' : 'success'
+        });
+    }
+
+    ctx.on(auditButton, 'click', runAudit);
+
+    // Number badges on every control, to see the order in place
+    ctx.on(highlightToggle, 'change', function() {
+        if (this.checked) runAudit();
+        document.body.classList.toggle('show-tab-order', this.checked);
     });
+
+    ctx.onCleanup(() => document.body.classList.remove('show-tab-order'));
 }
 
 // Window Events Section
-function initializeWindowEvents() {
-    const windowWidth = document.getElementById('window-width');
-    const windowHeight = document.getElementById('window-height');
-    const scrollPos = document.getElementById('scroll-pos');
-    const scrollTopBtn = document.getElementById('scroll-top');
+function initializeWindowEvents(ctx) {
+    const windowWidth = ctx.require('#window-width');
+    const windowHeight = ctx.require('#window-height');
+    const scrollPos = ctx.require('#scroll-pos');
+    const breakpointDisplay = ctx.require('#breakpoint');
+    const pixelRatioDisplay = ctx.require('#pixel-ratio');
+    const orientationDisplay = ctx.require('#orientation');
+    const tabsSize = ctx.require('#tabs-size');
+    const tabsSection = ctx.require('.tabs-section', document);
 
     function updateWindowSize() {
         windowWidth.textContent = window.innerWidth;
@@ -293,348 +978,1411 @@ function initializeWindowEvents() {
         scrollPos.textContent = Math.round(window.scrollY);
     }
 
-    window.addEventListener('resize', throttle(updateWindowSize, 250));
-    window.addEventListener('scroll', throttle(updateScrollPosition, 50));
+    function updateViewport() {
+        breakpointDisplay.textContent = viewport.getBreakpoint();
+        pixelRatioDisplay.textContent = viewport.getPixelRatio();
+        i18n.localize(orientationDisplay, `window.orientations.${viewport.getOrientation()}`);
+    }
+
+    ctx.on(window, 'resize', throttle(updateWindowSize, 250));
+    ctx.on(window, 'scroll', throttle(updateScrollPosition, 50));
+
+    // Only log when the layout actually changes, not on every resize
+    ctx.on(document, 'breakpointchange', function(e) {
+        updateViewport();
+        eventLog.log('window', t('log.messages.window.breakpoint', {
+            previous: e.detail.previousBreakpoint,
+            breakpoint: e.detail.breakpoint
+        }));
+    });
+
+    ctx.on(document, 'viewportchange', function(e) {
+        updateViewport();
+        eventLog.log('window', t('log.messages.window.viewport', {
+            orientation: t(`window.orientations.${e.detail.orientation}`),
+            ratio: e.detail.pixelRatio
+        }), { severity: 'debug' });
+    });
+
+    // Element size, independent of the window (the tabs shrink when the layout changes)
+    if (window.ResizeObserver) {
+        ctx.onCleanup(viewport.observe(tabsSection, function(size) {
+            tabsSize.textContent = `${Math.round(size.width)}×${Math.round(size.height)}`;
+        }));
+    }
+
+    updateWindowSize();
+    updateScrollPosition();
+    updateViewport();
+
+    ctx.on(window, 'load', function() {
+        eventLog.log('window', t('log.messages.window.loaded'));
+    });
+
+    // Leaving the page, visibility and connectivity are handled by the page lifecycle monitor
+}
+
+// Scroll Navigation Section
+// A sticky table of contents generated from the section headings, with
+// scrollspy, a reading-progress bar and a scroll-to-top button that only
+// shows up once the page has been scrolled a fair way.
+const SCROLL_NAV_CONFIG = {
+    topButtonThreshold: 600,   // px scrolled before "Scroll to Top" appears
+    storageKey: 'scroll-position',
+    // The "current" section is the one crossing the upper third of the viewport
+    rootMargin: '-20% 0px -70% 0px'
+};
+
+function initializeScrollNavigation(ctx) {
+    const toc = ctx.require('#section-toc');
+    const progressBar = ctx.require('#reading-progress');
+    const scrollTopBtn = ctx.require('#scroll-top');
+
+    restoreScrollPosition(ctx);
+
+    createSectionToc(toc, document.querySelectorAll('.demo-section'), {
+        signal: ctx.signal,
+        onChange: function(section) {
+            eventLog.log('window', t('log.messages.window.sectionInView', { title: section.title }), { severity: 'debug' });
+        }
+    });
+
+    function updateProgress() {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const percent = scrollable > 0 ? Math.min(100, Math.round((window.scrollY / scrollable) * 100)) : 0;
+        progressBar.style.width = `${percent}%`;
+        progressBar.setAttribute('aria-valuenow', percent);
+
+        scrollTopBtn.classList.toggle('visible', window.scrollY > SCROLL_NAV_CONFIG.topButtonThreshold);
+    }
+
+    ctx.on(window, 'scroll', throttle(updateProgress, 50), { passive: true });
+    ctx.on(window, 'resize', throttle(updateProgress, 250));
+    updateProgress();
 
-    scrollTopBtn.addEventListener('click', function() {
+    ctx.on(scrollTopBtn, 'click', function() {
         window.scrollTo({
             top: 0,
             behavior: 'smooth'
         });
+        // Hand focus back to the start of the page for keyboard users
+        toc.querySelector('a')?.focus({ preventScroll: true });
     });
+}
 
-    // Load and unload events
-    window.addEventListener('load', function() {
-        console.log('Page fully loaded');
-    });
+// Builds the TOC links and keeps the current one highlighted. Sections get
+// an id from their heading if they don't have one, so links and hashes work.
+function createSectionToc(nav, sections, options = {}) {
+    if (!nav) {
+        throw new Error('createSectionToc: navigation element not found');
+    }
+
+    const on = listenerBinder(options.signal);
+
+    const list = document.createElement('ol');
+    const entries = [];
+    const visible = new Set();
+    let current = null;
+
+    Array.from(sections).forEach(section => {
+        const heading = section.querySelector('h2');
+        if (!heading) return;
 
-    window.addEventListener('unload', function() {
-        console.log('Page unloading');
+        const title = heading.textContent.trim();
+        if (!section.id) {
+            section.id = 'section-' + title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        }
+
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${section.id}`;
+        link.textContent = title;
+        // Translated headings keep their TOC entry in step
+        if (heading.dataset.i18n) link.dataset.i18n = heading.dataset.i18n;
+        item.appendChild(link);
+        list.appendChild(item);
+
+        entries.push({ section: section, link: link, title: title });
     });
 
-    // Page visibility API
-    document.addEventListener('visibilitychange', function() {
-        if (document.hidden) {
-            document.title = '👀 Come back!';
-        } else {
-            document.title = 'JavaScript Events - Basic Interactivity';
+    nav.appendChild(list);
+    onAbort(options.signal, () => list.remove());
+
+    // Only touch the hash when it's ours - tabs and FAQ items keep their own deep links
+    function ownsHash(hash) {
+        return !hash || entries.some(entry => `#${entry.section.id}` === hash);
+    }
+
+    function setCurrent(entry) {
+        if (entry === current) return;
+        if (current) current.link.removeAttribute('aria-current');
+        current = entry;
+        if (!entry) return;
+
+        entry.link.setAttribute('aria-current', 'location');
+        // Keep the active link in view when the TOC scrolls horizontally
+        entry.link.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+
+        if (ownsHash(window.location.hash) && window.location.hash !== `#${entry.section.id}`) {
+            history.replaceState(history.state, '', `#${entry.section.id}`);
         }
+        if (options.onChange) options.onChange(entry);
+    }
+
+    on(nav, 'click', function(e) {
+        const link = e.target.closest('a');
+        if (!link) return;
+        const entry = entries.find(candidate => candidate.link === link);
+        if (!entry) return;
+
+        e.preventDefault();
+        history.pushState(history.state, '', link.hash);
+        entry.section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        setCurrent(entry);
+
+        // Move focus into the section so the next Tab continues from there
+        entry.section.setAttribute('tabindex', '-1');
+        entry.section.focus({ preventScroll: true });
     });
+
+    if ('IntersectionObserver' in window) {
+        const observer = new IntersectionObserver(function(records) {
+            records.forEach(record => {
+                if (record.isIntersecting) {
+                    visible.add(record.target);
+                } else {
+                    visible.delete(record.target);
+                }
+            });
+            // First visible section in document order wins
+            const entry = entries.find(candidate => visible.has(candidate.section));
+            if (entry) setCurrent(entry);
+        }, { rootMargin: SCROLL_NAV_CONFIG.rootMargin });
+
+        entries.forEach(entry => observer.observe(entry.section));
+        onAbort(options.signal, () => observer.disconnect());
+    }
+
+    return {
+        entries: entries,
+        getCurrent: () => current,
+        setCurrent: setCurrent
+    };
 }
 
-// Interactive Features Section (FAQ, Tabs, Dropdown)
-// Part 3 of Assignment: Building Interactive Elements
-function initializeInteractiveFeatures() {
-    // FAQ Section - Collapsible components
-    initializeFAQ();
+// Remembers where the reader was so a reload lands in the same place, even
+// though the FAQ and list render after the browser's own restore would run.
+function restoreScrollPosition(ctx) {
+    const storageKey = `${SCROLL_NAV_CONFIG.storageKey}:${window.location.pathname}`;
+
+    if ('scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+    }
+
+    function save() {
+        try {
+            sessionStorage.setItem(storageKey, String(Math.round(window.scrollY)));
+        } catch (err) {
+            // Storage full or disabled - nothing to restore next time
+        }
+    }
 
-    // Tabbed Interface - Switching between content panels
-    initializeTabs();
+    ctx.on(window, 'scroll', debounce(save, 200), { passive: true });
+    ctx.on(window, 'pagehide', save);
 
-    // Dropdown Menu - Simple dropdown with selection
-    initializeDropdown();
+    const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+    const isReload = navigation && navigation.type === 'reload';
+    const saved = parseInt(sessionStorage.getItem(storageKey), 10);
+    const target = window.location.hash ? document.getElementById(window.location.hash.slice(1)) : null;
 
-    console.log('Interactive Features initialized: FAQ, Tabs, and Dropdown');
+    // Wait for load so late content (FAQ data, images) doesn't shift the target
+    function restore() {
+        if (isReload && !Number.isNaN(saved)) {
+            window.scrollTo(0, saved);
+        } else if (target && target.classList.contains('demo-section')) {
+            target.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    // Only on page load: a remount later leaves the reader where they are
+    if (document.readyState !== 'complete') {
+        ctx.on(window, 'load', restore, { once: true });
+    }
 }
 
-// Initialize Collapsible FAQ Section
-function initializeFAQ() {
-    // Get all FAQ toggle buttons
-    const faqToggles = document.querySelectorAll('.faq-toggle');
+// Page Lifecycle Section
+// Live view of pageLifecycle (src/lifecycle.js): state, connectivity and time on page
+function initializePageLifecycle(ctx) {
+    const stateDisplay = ctx.require('#lifecycle-state');
+    const networkDisplay = ctx.require('#lifecycle-network');
+    const timeOnPage = ctx.require('#time-on-page');
+    const timeHidden = ctx.require('#time-hidden');
+    const lifecycleLog = ctx.require('#lifecycle-log');
+    let savedTitle = null;
+    let ticker = null;
+
+    createEventLogView(eventLog, lifecycleLog, { categories: ['lifecycle'], limit: 8, signal: ctx.signal });
+
+    // Short unit style ("1 min, 5 sec"), so it reads naturally in every language
+    function formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const unit = (value, name) => i18n.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'short' });
+        return minutes ?
+            i18n.formatList([unit(minutes, 'minute'), unit(seconds % 60, 'second')], { type: 'unit', style: 'narrow' }) :
+            unit(seconds, 'second');
+    }
+
+    function updateDisplay() {
+        const times = pageLifecycle.getTimes();
+        i18n.localize(stateDisplay, `lifecycle.states.${pageLifecycle.getState()}`);
+        stateDisplay.dataset.state = pageLifecycle.getState();
+        i18n.localize(networkDisplay, pageLifecycle.isOnline() ? 'lifecycle.online' : 'lifecycle.offline');
+        networkDisplay.classList.toggle('offline', !pageLifecycle.isOnline());
+        timeOnPage.textContent = formatDuration(times.onPage);
+        timeHidden.textContent = formatDuration(times.hidden);
+    }
+
+    // Nobody can see the clock while the page is hidden, so don't run it
+    function startTicker() {
+        if (ticker === null) ticker = setInterval(updateDisplay, 1000);
+    }
+
+    function stopTicker() {
+        clearInterval(ticker);
+        ticker = null;
+    }
 
-    // Add click event listeners to each FAQ toggle
-    faqToggles.forEach(toggle => {
-        toggle.addEventListener('click', function() {
-            // Toggle 'active' class on the button
-            this.classList.toggle('active');
+    ctx.onCleanup(pageLifecycle.subscribe(function(change) {
+        if (change.type === 'state') {
+            eventLog.log('lifecycle', `${change.previousState} → ${change.state} (${change.reason})`, {
+                severity: change.state === 'terminated' ? 'warning' : 'info',
+                details: change
+            });
+        } else if (change.type === 'pageshow' && change.persisted) {
+            eventLog.log('lifecycle', t('log.messages.lifecycle.restored'), { severity: 'success' });
+        } else if (change.type === 'network') {
+            eventLog.log('lifecycle', t(change.online ? 'log.messages.lifecycle.online' : 'log.messages.lifecycle.offline'), {
+                severity: change.online ? 'success' : 'warning'
+            });
+        } else if (change.type === 'visibility') {
+            // Whatever the title was (other sections may change it), put it back afterwards
+            if (change.hidden) {
+                savedTitle = document.title;
+                document.title = t('lifecycle.awayTitle');
+            } else if (savedTitle !== null) {
+                document.title = savedTitle;
+                savedTitle = null;
+            }
+            // Freeze CSS animations along with the JS work
+            document.documentElement.classList.toggle('page-hidden', change.hidden);
+        }
 
-            // Find the corresponding FAQ content
-            const faqContent = this.nextElementSibling;
+        if (pageLifecycle.isHidden()) {
+            stopTicker();
+        } else {
+            startTicker();
+        }
+        updateDisplay();
+    }));
 
-            // Toggle the 'show' class to expand/collapse content
-            faqContent.classList.toggle('show');
+    updateDisplay();
+    if (!pageLifecycle.isHidden()) startTicker();
+    ctx.onCleanup(stopTicker);
+}
 
+// Interactive Features Section (FAQ, Tabs, Dropdown)
+// Part 3 of Assignment: Building Interactive Elements. Each widget is its own component.
+
+// Initialize Collapsible FAQ Section
+function initializeFAQ(ctx) {
+    const faqList = ctx.require('#faq-list');
+    const searchInput = ctx.require('#faq-search');
+    const singleOpenToggle = ctx.require('#faq-single-open');
+    const expandAllBtn = ctx.require('#faq-expand-all');
+    const collapseAllBtn = ctx.require('#faq-collapse-all');
+    const faqStatus = ctx.require('#faq-status');
+
+    // Entries come from the JSON source; catalogs may translate them by id
+    function localizeEntry(entry) {
+        const key = `faq.entries.${entry.id}`;
+        return {
+            question: i18n.has(`${key}.question`) ? t(`${key}.question`) : entry.question,
+            answer: i18n.has(`${key}.answer`) ? t(`${key}.answer`) : entry.answer
+        };
+    }
+
+    const accordion = createAccordion(faqList, {
+        signal: ctx.signal,
+        source: faqList.dataset.source,
+        localize: localizeEntry,
+        singleOpen: singleOpenToggle.checked,
+        deepLink: true,
+        onToggle: function(entry, open) {
             // Log the interaction for learning purposes
-            console.log('FAQ toggled:', this.textContent.split(' ')[0]);
-        });
+            eventLog.log('faq', t(open ? 'log.messages.faq.opened' : 'log.messages.faq.closed', { question: localizeEntry(entry).question }));
+        }
+    });
+
+    accordion.ready.catch(err => {
+        i18n.localize(faqStatus, 'faq.loadError');
+        eventLog.log('faq', t('log.messages.faq.loadError', { error: err.message }), { severity: 'error' });
+    });
+
+    ctx.on(singleOpenToggle, 'change', function() {
+        accordion.setSingleOpen(this.checked);
+        // Expand all makes no sense when only one answer may be open
+        expandAllBtn.disabled = this.checked;
+    });
+
+    ctx.on(expandAllBtn, 'click', accordion.expandAll);
+    ctx.on(collapseAllBtn, 'click', accordion.collapseAll);
+
+    function search() {
+        const query = searchInput.value.trim();
+        const matches = accordion.search(query);
+        i18n.localize(faqStatus, query ? 'faq.matches' : null, { count: matches });
+    }
+
+    ctx.on(searchInput, 'input', debounce(search, 150));
+
+    // Re-render the entries in the new language, keeping the current search
+    ctx.on(document, 'localechange', function() {
+        accordion.ready.then(search);
     });
 }
 
 // Initialize Tabbed Interface
-function initializeTabs() {
-    // Get tab buttons and panels
-    const tabButtons = document.querySelectorAll('.tab-button');
-    const tabPanels = document.querySelectorAll('.tab-panel');
-
-    // Add click event listeners to tab buttons
-    tabButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            // Remove 'active' class from all buttons and panels
-            tabButtons.forEach(btn => btn.classList.remove('active'));
-            tabPanels.forEach(panel => panel.classList.remove('active'));
-
-            // Add 'active' class to clicked button
-            this.classList.add('active');
-
-            // Get the tab ID from the data attribute
-            const tabId = this.getAttribute('data-tab');
-
-            // Show the corresponding panel
-            const activePanel = document.getElementById(tabId);
-            if (activePanel) {
-                activePanel.classList.add('active');
-            }
+function initializeTabs(ctx) {
+    const tabList = ctx.require('.tab-buttons');
+
+    // WAI-ARIA tabs with keyboard support and URL deep links (#tab2)
+    const tabs = createTabs(tabList, {
+        activation: tabList.dataset.activation || 'automatic',
+        deepLink: true,
+        signal: ctx.signal,
+        // Switches that follow the URL aren't steps to undo
+        onChange: (tabId, trigger) => appState.set({ tab: tabId }, { history: trigger !== 'history' })
+    });
 
-            // Log the tab switching for learning
-            console.log('Tab switched to:', tabId);
-        });
+    // Log the tab switching for learning
+    ctx.on(tabList, 'tabchange', function(e) {
+        const button = tabList.querySelector(`[data-tab="${e.detail.nextTab}"]`);
+        eventLog.log('tabs', t('log.messages.tabs.switched', { tab: button.textContent }), { details: e.detail });
     });
 
+    // Follow undo/redo, restores and back/forward (the last without pushing another entry)
+    ctx.onCleanup(appState.subscribe('tab', function(state, change) {
+        if (change.source !== 'set') tabs.select(state.tab, change.source === 'url' ? 'history' : change.source);
+    }));
+
+    // ?tab=tab3 opens that tab, #tab3 wins over it; an unknown tab is dropped from the state
+    tabs.select(appState.get('tab'), 'history');
+    tabs.restoreFromHash();
+    appState.set({ tab: tabs.getActive() }, { history: false });
+
+    // Side-by-side tab buttons don't fit on small screens; stack them as an accordion
+    function applyLayout() {
+        tabs.setLayout(viewport.isAtLeast('md') ? 'tabs' : 'accordion');
+    }
+
+    ctx.on(document, 'breakpointchange', applyLayout);
+    applyLayout();
+
     // Initialize mini interactions within tabs
-    initializeMiniMouseDemo();
-    initializeMiniClickDemo();
-    initializeMiniEmailValidation();
+    initializeMiniMouseDemo(ctx);
+    initializeMiniClickDemo(ctx);
+    initializeMiniEmailValidation(ctx);
 }
 
 // Mini mouse demo inside tabs
-function initializeMiniMouseDemo() {
-    const miniMouseTarget = document.getElementById('mini-mouse-target');
+function initializeMiniMouseDemo(ctx) {
+    const miniMouseTarget = ctx.require('#mini-mouse-target');
 
-    if (miniMouseTarget) {
-        miniMouseTarget.addEventListener('mouseenter', function() {
-            this.textContent = 'Mouse Enter! 🎯';
-            console.log('Mini mouse demo: mouseenter event');
-        });
+    ctx.on(miniMouseTarget, 'mouseenter', function() {
+        i18n.localize(this, 'tabs.mouseEnter');
+        eventLog.log('demo', t('log.messages.demo.mouseEnter'), { severity: 'debug' });
+    });
 
-        miniMouseTarget.addEventListener('mouseleave', function() {
-            this.textContent = 'Hover over me!';
-            console.log('Mini mouse demo: mouseleave event');
-        });
-    }
+    ctx.on(miniMouseTarget, 'mouseleave', function() {
+        i18n.localize(this, 'tabs.hoverMe');
+        eventLog.log('demo', t('log.messages.demo.mouseLeave'), { severity: 'debug' });
+    });
 }
 
 // Mini click demo inside tabs
-function initializeMiniClickDemo() {
-    const miniClickBtn = document.getElementById('mini-click-demo');
-    const miniClickCount = document.getElementById('mini-click-count');
-
-    let miniCount = 0;
-
-    if (miniClickBtn && miniClickCount) {
-        miniClickBtn.addEventListener('click', function() {
-            miniCount++;
-            miniClickCount.textContent = miniCount;
-            this.textContent = `Clicked! (${miniCount})`;
-            console.log('Mini click demo count:', miniCount);
-        });
+function initializeMiniClickDemo(ctx) {
+    const miniClickBtn = ctx.require('#mini-click-demo');
+    const miniClickCount = ctx.require('#mini-click-count');
+
+    function renderCount(state) {
+        miniClickCount.textContent = state.miniClicks;
+        i18n.localize(miniClickBtn, state.miniClicks > 0 ? 'tabs.clicked' : 'click.button', { count: state.miniClicks });
     }
+
+    ctx.onCleanup(appState.subscribe('miniClicks', renderCount));
+    renderCount(appState.getState());
+
+    ctx.on(miniClickBtn, 'click', function() {
+        appState.set({ miniClicks: appState.get('miniClicks') + 1 });
+        eventLog.log('demo', t('log.messages.demo.miniClicks', { count: appState.get('miniClicks') }));
+    });
 }
 
 // Mini email validation demo inside tabs
-function initializeMiniEmailValidation() {
-    const emailInput = document.getElementById('mini-email-validation');
-    const validationResult = document.getElementById('validation-result');
-
-    // Custom email validation function (demonstrates Part 3 validation)
-    function validateMiniEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email.trim());
-    }
-
-    if (emailInput && validationResult) {
-        emailInput.addEventListener('input', function() {
-            const email = this.value.trim();
-            let message = '';
-            let color = '#666';
-
-            if (email === '') {
-                message = 'Please enter an email address';
-            } else if (validateMiniEmail(email)) {
-                message = '✓ Valid email format';
-                color = '#28a745';
-            } else {
-                message = '✗ Invalid email format';
-                color = '#dc3545';
-            }
+function initializeMiniEmailValidation(ctx) {
+    const emailInput = ctx.require('#mini-email-validation');
+    const validationResult = ctx.require('#validation-result');
+
+    // Same validation engine as the main form, with a single live-checked field
+    createFormValidator(emailInput.parentElement, {
+        email: {
+            element: emailInput,
+            validateOn: ['input'],
+            pattern: EMAIL_PATTERN,
+            messages: {
+                pattern: i18n.lazy('tabs.email.invalid')
+            },
+            validMessage: i18n.lazy('tabs.email.valid'),
+            emptyMessage: i18n.lazy('tabs.email.empty'),
+            feedback: validationResult
+        }
+    }, {
+        signal: ctx.signal
+    });
+}
 
-            validationResult.textContent = message;
-            validationResult.style.color = color;
-        });
+// Initialize Dropdown Menu
+function initializeDropdown(ctx) {
+    const container = ctx.require('.dropdown-container');
+    const dropdownSelection = ctx.require('#dropdown-selection');
+
+    // Listbox behaviour is configured from data attributes in the markup
+    const listbox = createListbox(container, {
+        multiple: container.dataset.multiple === 'true',
+        filterable: container.dataset.filterable === 'true',
+        signal: ctx.signal
+    });
+
+    function showSelection() {
+        const labels = listbox.getLabels();
+        if (labels.length) {
+            dropdownSelection.textContent = t('dropdown.selected', { labels: i18n.formatList(labels) });
+            delete dropdownSelection.dataset.i18n;
+        } else {
+            i18n.localize(dropdownSelection, 'dropdown.none');
+        }
     }
+
+    // The option labels change with the language, so rebuild the summary from them
+    ctx.on(document, 'localechange', showSelection);
+
+    // The selection lives in the app state store (?option=option2 in the URL);
+    // follow it when undo/redo or back/forward changes it
+    function followState(state) {
+        if (JSON.stringify(listbox.getValues()) !== JSON.stringify(state.dropdown)) {
+            listbox.setValues(state.dropdown);
+        }
+    }
+
+    // Restored before listening, so options missing from the list are quietly dropped
+    followState(appState.getState());
+    appState.set({ dropdown: listbox.getValues() }, { history: false });
+    showSelection();
+
+    ctx.onCleanup(appState.subscribe('dropdown', followState));
+
+    ctx.on(container, 'change', function(e) {
+        if (!e.detail) return;
+
+        showSelection();
+        appState.set({ dropdown: e.detail.values });
+
+        const labels = listbox.getLabels();
+        eventLog.log('dropdown', labels.length > 0 ?
+            t('log.messages.dropdown.selection', { labels: i18n.formatList(labels) }) :
+            t('dropdown.none'), {
+            details: e.detail
+        });
+    });
+
+    ctx.on(container, 'listboxtoggle', function(e) {
+        eventLog.log('dropdown', t(e.detail.open ? 'log.messages.dropdown.opened' : 'log.messages.dropdown.closed'));
+    });
 }
 
-// Initialize Dropdown Menu
-function initializeDropdown() {
-    const dropdownToggle = document.getElementById('dropdown-toggle');
-    const dropdownMenu = document.getElementById('dropdown-menu');
-    const dropdownItems = document.querySelectorAll('.dropdown-item');
-    const dropdownSelection = document.getElementById('dropdown-selection');
-
-    // Toggle dropdown visibility
-    if (dropdownToggle && dropdownMenu) {
-        dropdownToggle.addEventListener('click', function() {
-            dropdownMenu.classList.toggle('show');
-            console.log('Dropdown toggled:', dropdownMenu.classList.contains('show'));
+// Dynamic Content Section
+function initializeDynamicContent(ctx) {
+    const dynamicList = ctx.require('#dynamic-list');
+
+    const list = createListManager(dynamicList, {
+        storageKey: 'dynamic-list:items',
+        onChange: function(action, detail) {
+            appState.set({ list: list.getItems() });
+            eventLog.log('list', detail);
+        },
+        signal: ctx.signal
+    });
+
+    // The list saves itself; the app state store keeps a copy so edits can be undone
+    appState.set({ list: list.getItems() }, { history: false });
+
+    ctx.onCleanup(appState.subscribe('list', function(state, change) {
+        if (change.source !== 'set') list.setItems(state.list);
+    }));
+
+    // One delegated listener for all the toolbar buttons
+    const actions = {
+        'add-item': () => list.add(),
+        'remove-item': () => list.removeLast(),
+        'clear-all': () => list.clear()
+    };
+    Object.keys(actions).forEach(id => ctx.require(`#${id}`));
+
+    ctx.delegate('click', Object.keys(actions).map(id => `#${id}`).join(', '), function(e, button) {
+        actions[button.id]();
+    });
+}
+
+// Dialogs
+// Promise-based replacements for alert(), confirm() and prompt() built on
+// <dialog>. They don't block the event loop, follow the theme, trap focus,
+// close on Escape and hand focus back to whatever opened them.
+//   showAlert('Saved!').then(() => ...)
+//   showConfirm('Delete everything?', { confirmLabel: 'Delete', danger: true }).then(ok => ...)
+//   showPrompt('Your name?', { defaultValue: 'Ada' }).then(value => ...)   // null when cancelled
+let dialogCount = 0;
+
+function showDialog(options) {
+    const id = `app-dialog-${++dialogCount}`;
+    const buttons = options.buttons || [{ label: t('dialog.ok'), value: true, primary: true }];
+
+    return new Promise(resolve => {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog';
+        // alertdialog: the user has to respond before carrying on
+        dialog.setAttribute('role', options.role || 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', `${id}-title`);
+        dialog.setAttribute('aria-describedby', `${id}-message`);
+
+        const form = document.createElement('form');
+        form.method = 'dialog';
+
+        const title = document.createElement('h2');
+        title.id = `${id}-title`;
+        title.className = 'app-dialog-title';
+        title.textContent = options.title;
+
+        const message = document.createElement('p');
+        message.id = `${id}-message`;
+        message.className = 'app-dialog-message';
+        message.textContent = options.message || '';
+
+        form.append(title, message);
+
+        let input = null;
+        if (options.input) {
+            input = document.createElement('input');
+            input.type = options.input.type || 'text';
+            input.className = 'app-dialog-input';
+            input.value = options.input.defaultValue || '';
+            input.placeholder = options.input.placeholder || '';
+            input.setAttribute('aria-labelledby', `${id}-message`);
+            form.appendChild(input);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'app-dialog-actions';
+        buttons.forEach((button, index) => {
+            const element = document.createElement('button');
+            element.type = button.primary ? 'submit' : 'button';
+            element.className = `action-button small${button.primary ? '' : ' secondary'}${button.danger ? ' danger' : ''}`;
+            element.textContent = button.label;
+            element.dataset.index = index;
+            actions.appendChild(element);
         });
+        form.appendChild(actions);
+        dialog.appendChild(form);
 
-        // Handle dropdown item selection
-        dropdownItems.forEach(item => {
-            item.addEventListener('click', function() {
-                // Update the toggle button text
-                dropdownToggle.textContent = this.textContent;
+        const trap = createFocusTrap(dialog, {
+            initialFocus: () => input || actions.querySelector('[type="submit"]') || actions.querySelector('button'),
+            onEscape: () => close(options.cancelValue)
+        });
 
-                // Update selection display
-                dropdownSelection.textContent = `Selected: ${this.textContent}`;
+        function close(value) {
+            trap.deactivate();
+            if (dialog.open && dialog.close) dialog.close();
+            dialog.remove();
+            resolve(value);
+        }
 
-                // Hide the dropdown
-                dropdownMenu.classList.remove('show');
+        // Enter in the prompt field submits with the primary button
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            const primary = buttons.find(button => button.primary);
+            close(input ? input.value : primary.value);
+        });
 
-                console.log('Dropdown item selected:', this.textContent);
-            });
+        actions.addEventListener('click', function(e) {
+            const element = e.target.closest('button[type="button"]');
+            if (element) close(buttons[element.dataset.index].value);
         });
 
-        // Close dropdown when clicking outside
-        document.addEventListener('click', function(e) {
-            if (!dropdownToggle.contains(e.target) && !dropdownMenu.contains(e.target)) {
-                dropdownMenu.classList.remove('show');
-            }
+        // Native Escape handling goes through 'cancel'; route it the same way
+        dialog.addEventListener('cancel', function(e) {
+            e.preventDefault();
+            close(options.cancelValue);
         });
+
+        document.body.appendChild(dialog);
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            // Older browsers: still visible and trapped, just without the native backdrop
+            dialog.setAttribute('open', '');
+        }
+        trap.activate();
+    });
+}
+
+function showAlert(message, options = {}) {
+    return showDialog({
+        title: options.title || t('dialog.notice'),
+        message: message,
+        buttons: [{ label: options.confirmLabel || t('dialog.ok'), value: undefined, primary: true }],
+        cancelValue: undefined
+    });
+}
+
+function showConfirm(message, options = {}) {
+    return showDialog({
+        title: options.title || t('dialog.confirm'),
+        message: message,
+        role: 'alertdialog',
+        buttons: [
+            { label: options.cancelLabel || t('dialog.cancel'), value: false },
+            { label: options.confirmLabel || t('dialog.ok'), value: true, primary: true, danger: !!options.danger }
+        ],
+        cancelValue: false
+    });
+}
+
+function showPrompt(message, options = {}) {
+    return showDialog({
+        title: options.title || t('dialog.inputRequired'),
+        message: message,
+        input: { defaultValue: options.defaultValue, placeholder: options.placeholder, type: options.type },
+        buttons: [
+            { label: options.cancelLabel || t('dialog.cancel'), value: null },
+            { label: options.confirmLabel || t('dialog.ok'), value: true, primary: true }
+        ],
+        cancelValue: null
+    });
+}
+
+// Theme Section
+// Header theme picker plus the quick light/dark toggle in the click demo
+function initializeTheme(ctx) {
+    const themeSelect = ctx.require('#theme-select');
+    const toggleButton = ctx.require('#toggle-button');
+
+    const themeManager = createThemeManager({ signal: ctx.signal });
+
+    function updateControls() {
+        themeSelect.value = themeManager.getPreference();
+        i18n.localize(toggleButton, themeManager.getTheme() === 'light' ? 'theme.switchToDark' : 'theme.switchToLight');
+    }
+
+    ctx.on(document, 'themechange', function(e) {
+        updateControls();
+        eventLog.log('theme', t('log.messages.theme.changed', {
+            theme: themeSelect.querySelector(`option[value="${e.detail.theme}"]`).textContent,
+            preference: themeSelect.querySelector(`option[value="${e.detail.preference}"]`).textContent
+        }));
+    });
+
+    // The controls write to the app state store and the manager follows it.
+    // A ?theme= link wins over the saved preference for this visit, but only the
+    // visitor's own choices (and undoing them) are saved.
+    if (appState.restoredFrom('theme') === 'url') {
+        themeManager.setPreference(appState.get('theme'), { persist: false });
+    } else {
+        appState.set({ theme: themeManager.getPreference() }, { history: false });
     }
+
+    ctx.onCleanup(appState.subscribe('theme', function(state, change) {
+        themeManager.setPreference(state.theme, { persist: ['set', 'undo', 'redo'].includes(change.source) });
+        updateControls();
+    }));
+
+    updateControls();
+
+    ctx.on(themeSelect, 'change', function() {
+        appState.set({ theme: this.value });
+    });
+
+    ctx.on(toggleButton, 'click', function() {
+        appState.set({ theme: themeManager.getTheme() === 'light' ? 'dark' : 'light' });
+    });
+
+    return themeManager;
 }
 
-// Dynamic Content Section
-function initializeDynamicContent() {
-    const addItemBtn = document.getElementById('add-item');
-    const removeItemBtn = document.getElementById('remove-item');
-    const clearAllBtn = document.getElementById('clear-all');
-    const dynamicList = document.getElementById('dynamic-list');
-
-    let itemCount = dynamicList.children.length;
-
-    addItemBtn.addEventListener('click', function() {
-        itemCount++;
-        const li = document.createElement('li');
-        li.innerHTML = `Item ${itemCount} <button class="delete-item">❌</button>`;
-
-        // Add delete event to the new button
-        const deleteBtn = li.querySelector('.delete-item');
-        deleteBtn.addEventListener('click', function() {
-            li.remove();
-        });
+// Header language picker
+// Lists the catalogs by their own names; choosing one re-renders every
+// translated element and flips the layout for right-to-left languages.
+function initializeLanguage(ctx) {
+    const languageSelect = ctx.require('#language-select');
+
+    languageSelect.replaceChildren(...i18n.getLocales().map(locale => {
+        const option = document.createElement('option');
+        option.value = locale.code;
+        option.lang = locale.code;
+        option.textContent = locale.name;
+        return option;
+    }));
+    languageSelect.value = i18n.getLocale();
+
+    ctx.on(languageSelect, 'change', function() {
+        i18n.setLocale(this.value);
+    });
+
+    ctx.on(document, 'localechange', function(e) {
+        languageSelect.value = e.detail.locale;
+        eventLog.log('language', t('log.messages.language.changed', {
+            previous: e.detail.previousLocale,
+            locale: e.detail.locale
+        }), { details: e.detail });
+    });
+}
 
-        dynamicList.appendChild(li);
+// Keyboard Shortcuts Section
+function initializeShortcuts(ctx) {
+    const shortcuts = createShortcutManager({ signal: ctx.signal });
 
-        // Smooth animation
-        li.style.opacity = '0';
-        li.style.transform = 'translateX(-20px)';
-        setTimeout(() => {
-            li.style.transition = 'all 0.3s ease';
-            li.style.opacity = '1';
-            li.style.transform = 'translateX(0)';
-        }, 10);
-    });
-
-    removeItemBtn.addEventListener('click', function() {
-        const lastItem = dynamicList.lastElementChild;
-        if (lastItem) {
-            lastItem.style.transition = 'all 0.3s ease';
-            lastItem.style.opacity = '0';
-            lastItem.style.transform = 'translateX(20px)';
-            setTimeout(() => lastItem.remove(), 300);
-        }
-    });
-
-    clearAllBtn.addEventListener('click', function() {
-        if (confirm('Are you sure you want to clear all items?')) {
-            Array.from(dynamicList.children).forEach((item, index) => {
-                setTimeout(() => {
-                    item.style.transition = 'all 0.3s ease';
-                    item.style.opacity = '0';
-                    item.style.transform = 'scale(0.8)';
-                    setTimeout(() => item.remove(), 300);
-                }, index * 50);
-            });
+    function clickIfPresent(id) {
+        const element = document.getElementById(id);
+        if (element) element.click();
+    }
+
+    function switchTab(offset) {
+        const tabs = Array.from(document.querySelectorAll('.tab-button'));
+        const current = tabs.findIndex(tab => tab.classList.contains('active'));
+        const next = tabs[(current + offset + tabs.length) % tabs.length];
+        if (next) {
+            next.click();
+            next.focus();
+        }
+    }
+
+    // Easter egg
+    shortcuts.register({
+        id: 'konami',
+        keys: 'ArrowUp ArrowUp ArrowDown ArrowDown ArrowLeft ArrowRight ArrowLeft ArrowRight b a',
+        description: 'Konami code',
+        handler: function() {
+            eventLog.log('shortcut', t('log.messages.shortcut.konami'));
+            showAlert(t('shortcuts.konami.message'), { title: t('shortcuts.konami.title'), confirmLabel: t('shortcuts.konami.confirm') });
+            document.body.classList.add('konami');
+            setTimeout(() => {
+                document.body.classList.remove('konami');
+            }, 5000);
+        }
+    });
+
+    shortcuts.register({
+        id: 'help',
+        keys: '?',
+        description: 'Show keyboard shortcuts',
+        handler: () => showShortcutOverlay(shortcuts)
+    });
+
+    shortcuts.register({
+        id: 'add-item',
+        keys: 'Shift+N',
+        description: 'Add a new list item',
+        handler: () => clickIfPresent('add-item')
+    });
+
+    shortcuts.register({
+        id: 'next-tab',
+        keys: ']',
+        description: 'Next tab',
+        handler: () => switchTab(1)
+    });
+
+    shortcuts.register({
+        id: 'previous-tab',
+        keys: '[',
+        description: 'Previous tab',
+        handler: () => switchTab(-1)
+    });
+
+    // Steps of the app state store; text fields keep their own undo
+    shortcuts.register({
+        id: 'undo',
+        keys: 'Mod+Z',
+        description: 'Undo the last change',
+        handler: function() {
+            const keys = appState.undo();
+            eventLog.log('shortcut', keys ?
+                t('log.messages.shortcut.undo', { keys: i18n.formatList(keys) }) :
+                t('log.messages.shortcut.nothingToUndo'));
         }
     });
 
-    // Add delete functionality to existing items
-    document.querySelectorAll('.delete-item').forEach(button => {
-        button.addEventListener('click', function() {
-            this.parentElement.remove();
+    shortcuts.register({
+        id: 'redo',
+        keys: 'Mod+Shift+Z',
+        description: 'Redo the last undone change',
+        handler: function() {
+            const keys = appState.redo();
+            eventLog.log('shortcut', keys ?
+                t('log.messages.shortcut.redo', { keys: i18n.formatList(keys) }) :
+                t('log.messages.shortcut.nothingToRedo'));
+        }
+    });
+
+    shortcuts.register({
+        id: 'scroll-top',
+        keys: 'g g',
+        description: 'Scroll to top',
+        handler: () => clickIfPresent('scroll-top')
+    });
+
+    shortcuts.register({
+        id: 'search-log',
+        keys: 'Mod+K',
+        description: 'Search the event log',
+        inTextFields: true,
+        handler: function() {
+            const search = ctx.require('#log-search');
+            search.scrollIntoView({ block: 'center' });
+            search.focus();
+        }
+    });
+
+    shortcuts.register({
+        id: 'submit-form',
+        keys: 'Mod+Enter',
+        description: 'Submit the demo form',
+        within: '#demo-form',
+        scopeLabel: 'Form',
+        inTextFields: true,
+        handler: () => ctx.require('#demo-form').requestSubmit()
+    });
+
+    return shortcuts;
+}
+
+// "?" overlay listing every active binding
+function showShortcutOverlay(shortcuts) {
+    if (document.getElementById('shortcut-overlay')) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'shortcut-overlay';
+    overlay.className = 'shortcut-overlay';
+
+    const panel = document.createElement('div');
+    panel.className = 'shortcut-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('aria-labelledby', 'shortcut-overlay-title');
+
+    const title = document.createElement('h2');
+    title.id = 'shortcut-overlay-title';
+    title.textContent = t('shortcuts.title');
+
+    const table = document.createElement('table');
+    table.className = 'shortcut-table';
+    const header = table.createTHead().insertRow();
+    ['keys', 'action', 'where'].forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = t(`shortcuts.columns.${column}`);
+        header.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    shortcuts.getBindings().forEach(binding => {
+        const row = body.insertRow();
+        const keysCell = row.insertCell();
+        binding.keys.split(' ').forEach(step => {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = step;
+            keysCell.append(kbd, ' ');
+        });
+        // Bindings registered with a catalog entry show the translated description
+        const descriptionKey = `shortcuts.actions.${binding.id}`;
+        row.insertCell().textContent = i18n.has(descriptionKey) ? t(descriptionKey) : binding.description;
+        row.insertCell().textContent = t(binding.inTextFields ? 'shortcuts.scope' : 'shortcuts.scopeNotTyping', {
+            scope: i18n.has(`shortcuts.scopes.${binding.scope}`) ? t(`shortcuts.scopes.${binding.scope}`) : binding.scope
         });
     });
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'action-button small';
+    closeBtn.textContent = t('dialog.close');
+
+    const trap = createFocusTrap(panel, {
+        initialFocus: closeBtn,
+        onEscape: close
+    });
+
+    function close() {
+        // Deactivate first so focus goes back to whatever opened the overlay
+        trap.deactivate();
+        overlay.remove();
+    }
+
+    closeBtn.addEventListener('click', close);
+    overlay.addEventListener('click', function(e) {
+        if (e.target === overlay) close();
+    });
+
+    panel.append(title, table, closeBtn);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+    trap.activate();
+}
+
+// Event Log Section
+// Full view of the shared log with filtering, search, pause and export
+function initializeEventLog(ctx) {
+    const list = ctx.require('#event-log-list');
+    const categoryFilter = ctx.require('#log-category-filter');
+    const severityFilter = ctx.require('#log-severity-filter');
+    const searchInput = ctx.require('#log-search');
+    const pauseButton = ctx.require('#log-pause');
+    const clearButton = ctx.require('#log-clear');
+    const exportJsonButton = ctx.require('#log-export-json');
+    const exportCsvButton = ctx.require('#log-export-csv');
+    const status = ctx.require('#log-status');
+
+    const view = createEventLogView(eventLog, list, {
+        limit: 200,
+        signal: ctx.signal,
+        onPauseChange: function(paused, missed) {
+            i18n.localize(pauseButton, paused ? 'log.resume' : 'log.pause');
+            pauseButton.setAttribute('aria-pressed', paused);
+            i18n.localize(status, paused ? 'log.paused' : null, { count: missed });
+        }
+    });
+
+    ctx.on(categoryFilter, 'change', function() {
+        view.setFilter({ categories: this.value ? [this.value] : null });
+    });
+
+    ctx.on(severityFilter, 'change', function() {
+        view.setFilter({ severity: this.value });
+    });
+
+    ctx.on(searchInput, 'input', debounce(function() {
+        view.setFilter({ search: searchInput.value.trim() });
+    }, 200));
+
+    ctx.on(pauseButton, 'click', function() {
+        if (view.isPaused()) {
+            view.resume();
+        } else {
+            view.pause();
+        }
+    });
+
+    ctx.on(clearButton, 'click', function() {
+        eventLog.clear();
+    });
+
+    // Exports honour the current filter so traces stay focused
+    ctx.on(exportJsonButton, 'click', function() {
+        eventLog.download('json', view.getFilter());
+    });
+
+    ctx.on(exportCsvButton, 'click', function() {
+        eventLog.download('csv', view.getFilter());
+    });
 }
 
-// Utility Functions
-function throttle(func, limit) {
-    let inThrottle;
-    return function() {
-        const args = arguments;
-        const context = this;
-        if (!inThrottle) {
-            func.apply(context, args);
-            inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
+// Session Recorder Section
+function initializeSessionRecorder(ctx) {
+    const panel = ctx.require('#session-recorder');
+    const recordButton = ctx.require('#session-record');
+    const playButton = ctx.require('#session-play');
+    const stepButton = ctx.require('#session-step');
+    const freshButton = ctx.require('#session-replay-fresh');
+    const speedSelect = ctx.require('#session-speed');
+    const exportButton = ctx.require('#session-export');
+    const importInput = ctx.require('#session-import');
+    const status = ctx.require('#session-status');
+    const storageKey = 'session-trace:pending-replay';
+
+    let trace = null;
+    let player = null;
+    let startState = null;
+
+    const recorder = createSessionRecorder({
+        ignoreWithin: panel,
+        onEvent: count => {
+            i18n.localize(status, 'session.recordingCount', { count: count });
+        }
+    });
+
+    function updateControls() {
+        const hasTrace = !!(trace && trace.events.length);
+        playButton.disabled = !hasTrace || recorder.isRecording();
+        stepButton.disabled = !hasTrace || recorder.isRecording() || (player && player.isPlaying());
+        freshButton.disabled = !hasTrace || recorder.isRecording();
+        exportButton.disabled = !hasTrace;
+    }
+
+    function loadTrace(newTrace) {
+        if (player) player.pause();
+        trace = newTrace;
+        player = createSessionPlayer(trace, {
+            speed: parseFloat(speedSelect.value),
+            onProgress: function(index, total, playing) {
+                i18n.localize(status, playing ? 'session.playing' : 'session.paused', { index: index, total: total });
+                i18n.localize(playButton, playing ? 'session.pause' : 'session.play');
+                updateControls();
+            },
+            onComplete: function() {
+                i18n.localize(status, 'session.finished', { count: trace.events.length });
+                eventLog.log('session', t('log.messages.session.replayFinished'));
+                // Allow playing the same trace again
+                player = null;
+                loadTrace(trace);
+            },
+            onMissingTarget: function(record) {
+                eventLog.log('session', t('log.messages.session.skipped', { type: record.type, target: record.target }), { severity: 'warning' });
+            }
+        });
+        updateControls();
+    }
+
+    ctx.on(recordButton, 'click', function() {
+        if (recorder.isRecording()) {
+            // The trace keeps the state it started from, for replaying on a fresh page
+            loadTrace(Object.assign(recorder.stop(), { state: startState }));
+            i18n.localize(this, 'session.record');
+            this.setAttribute('aria-pressed', 'false');
+            i18n.localize(status, 'session.recorded', { count: trace.events.length });
+            eventLog.log('session', t('session.recorded', { count: trace.events.length }));
+        } else {
+            if (player) player.pause();
+            startState = appState.getState();
+            recorder.start();
+            i18n.localize(this, 'session.stop');
+            this.setAttribute('aria-pressed', 'true');
+            i18n.localize(status, 'session.recording');
+            eventLog.log('session', t('log.messages.session.recordingStarted'));
+        }
+        updateControls();
+    });
+
+    ctx.on(playButton, 'click', function() {
+        if (player.isPlaying()) {
+            player.pause();
+        } else {
+            eventLog.log('session', t('log.messages.session.replayStarted'));
+            player.play();
+        }
+    });
+
+    ctx.on(stepButton, 'click', function() {
+        player.step();
+    });
+
+    ctx.on(speedSelect, 'change', function() {
+        if (player) player.setSpeed(parseFloat(this.value));
+    });
+
+    // Replaying on a freshly loaded page reproduces counters and logs exactly
+    ctx.on(freshButton, 'click', function() {
+        sessionStorage.setItem(storageKey, JSON.stringify(trace));
+        window.location.reload();
+    });
+
+    ctx.on(exportButton, 'click', function() {
+        const blob = new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `session-trace-${trace.recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    });
+
+    ctx.on(importInput, 'change', function() {
+        const file = this.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                loadTrace(JSON.parse(text));
+                i18n.localize(status, 'session.loaded', { count: trace.events.length, file: file.name });
+                eventLog.log('session', t('log.messages.session.imported', { file: file.name }));
+            })
+            .catch(err => {
+                i18n.localize(status, 'session.loadError', { error: err.message });
+                eventLog.log('session', t('session.loadError', { error: err.message }), { severity: 'error' });
+            });
+        this.value = '';
+    });
+
+    // Pick up a trace handed over by "Replay on fresh page"
+    const pending = sessionStorage.getItem(storageKey);
+    if (pending) {
+        sessionStorage.removeItem(storageKey);
+        try {
+            loadTrace(JSON.parse(pending));
+            // Counters and the rest of the app state persist, so rewind them first
+            if (trace.state) appState.restore(trace.state);
+            eventLog.log('session', t('log.messages.session.freshReplay'));
+            // Let the other sections finish initialising first
+            setTimeout(() => player.play(), 0);
+        } catch (err) {
+            eventLog.log('session', t('log.messages.session.pendingFailed', { error: err.message }), { severity: 'error' });
         }
     }
+
+    // Don't keep recording or replaying into a section that is gone
+    ctx.onCleanup(function() {
+        if (recorder.isRecording()) recorder.stop();
+        if (player) player.pause();
+    });
+
+    updateControls();
 }
 
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
+// Date of Birth
+// <input type="date"> values are "YYYY-MM-DD" (or '' while incomplete); they
+// are read as local dates so a birthday doesn't shift with the time zone.
+const BIRTH_DATE_CONFIG = {
+    maxAge: 120
+};
+
+function toDateInputValue(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
 }
 
-// Update functions called on initialization
-function updateWindowSize() {
-    const windowWidth = document.getElementById('window-width');
-    const windowHeight = document.getElementById('window-height');
-    if (windowWidth && windowHeight) {
-        windowWidth.textContent = window.innerWidth;
-        windowHeight.textContent = window.innerHeight;
-    }
+// Whole years between the birth date and today
+function getAge(value, today = new Date()) {
+    const [year, month, day] = value.split('-').map(Number);
+    const hadBirthday = today.getMonth() + 1 > month ||
+        (today.getMonth() + 1 === month && today.getDate() >= day);
+    return today.getFullYear() - year - (hadBirthday ? 0 : 1);
 }
 
-function updateScrollPosition() {
-    const scrollPos = document.getElementById('scroll-pos');
-    if (scrollPos) {
-        scrollPos.textContent = Math.round(window.scrollY);
+// Validator rule: a real date, not in the future, within a human lifetime
+function validateBirthDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return t('form.dob.invalid');
+    if (value > toDateInputValue(new Date())) return t('form.dob.future');
+    if (getAge(value) > BIRTH_DATE_CONFIG.maxAge) return t('form.dob.tooOld', { max: BIRTH_DATE_CONFIG.maxAge });
+    return true;
+}
+
+// Form Draft Autosave
+// Saves what the user has typed to localStorage (debounced) and offers to
+// restore it on the next visit. Each form gets its own storage key.
+const DRAFT_CONFIG = {
+    delay: 500,                       // debounce before writing to storage
+    maxAge: 24 * 60 * 60 * 1000       // drafts older than this are discarded
+};
+
+function createDraftAutosave(form, options = {}) {
+    const on = listenerBinder(options.signal);
+    const config = Object.assign({}, DRAFT_CONFIG, options);
+    const storageKey = config.storageKey || `form-draft:${form.id}`;
+    const excludedTypes = ['password', 'file', 'submit', 'button', 'reset', 'hidden'];
+
+    // Named controls that are safe to persist (never passwords)
+    function getControls() {
+        return Array.from(form.elements).filter(element =>
+            element.name &&
+            !excludedTypes.includes(element.type) &&
+            !(config.exclude || []).includes(element.name)
+        );
+    }
+
+    function readDraft() {
+        try {
+            const raw = localStorage.getItem(storageKey);
+            if (!raw) return null;
+
+            const draft = JSON.parse(raw);
+            if (!draft || !draft.values || Date.now() - draft.savedAt > config.maxAge) {
+                localStorage.removeItem(storageKey);
+                return null;
+            }
+            return draft;
+        } catch (err) {
+            // Corrupt JSON or storage disabled - behave as if there is no draft
+            return null;
+        }
+    }
+
+    function save() {
+        const values = {};
+        let hasContent = false;
+
+        getControls().forEach(element => {
+            values[element.name] = element.value;
+            if (element.value.trim() !== '') hasContent = true;
+        });
+
+        try {
+            if (hasContent) {
+                localStorage.setItem(storageKey, JSON.stringify({ savedAt: Date.now(), values: values }));
+            } else {
+                localStorage.removeItem(storageKey);
+            }
+        } catch (err) {
+            eventLog.log('form', t('log.messages.form.draftUnavailable', { error: err.message }), { severity: 'warning' });
+        }
+    }
+
+    function clear() {
+        try {
+            localStorage.removeItem(storageKey);
+        } catch (err) {
+            // Nothing to clear when storage is unavailable
+        }
+        removeRestorePrompt();
+    }
+
+    function restore(draft) {
+        getControls().forEach(element => {
+            if (draft.values[element.name] !== undefined) {
+                element.value = draft.values[element.name];
+                // Let validators, counters and logs react as if the user typed it
+                element.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        });
+        if (config.onRestore) config.onRestore(draft);
     }
+
+    let restorePrompt = null;
+
+    function removeRestorePrompt() {
+        if (restorePrompt) {
+            restorePrompt.remove();
+            restorePrompt = null;
+        }
+    }
+
+    // Non-blocking "Restore draft / Discard" banner at the top of the form
+    function showRestorePrompt(draft) {
+        restorePrompt = document.createElement('div');
+        restorePrompt.className = 'draft-prompt';
+        restorePrompt.setAttribute('role', 'region');
+        i18n.localizeAttribute(restorePrompt, 'aria-label', 'draft.label');
+
+        const text = document.createElement('p');
+        i18n.localize(text, 'draft.message', { savedAt: draft.savedAt });
+
+        const restoreButton = document.createElement('button');
+        restoreButton.type = 'button';
+        restoreButton.className = 'action-button small';
+        i18n.localize(restoreButton, 'draft.restore');
+        on(restoreButton, 'click', function() {
+            removeRestorePrompt();
+            restore(draft);
+        });
+
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'action-button small secondary';
+        i18n.localize(discardButton, 'draft.discard');
+        on(discardButton, 'click', function() {
+            clear();
+            if (config.onDiscard) config.onDiscard();
+        });
+
+        restorePrompt.append(text, restoreButton, discardButton);
+        form.prepend(restorePrompt);
+    }
+
+    const draft = readDraft();
+    if (draft) {
+        showRestorePrompt(draft);
+    }
+
+    const debouncedSave = debounce(save, config.delay);
+    on(form, 'input', function() {
+        // Typing over a pending prompt means the old draft is no longer wanted
+        removeRestorePrompt();
+        debouncedSave();
+    });
+
+    onAbort(options.signal, removeRestorePrompt);
+
+    return {
+        save: save,
+        clear: clear,
+        storageKey: storageKey
+    };
 }
 
+// Routes answered by the mock server
+const MOCK_ROUTES = {
+    'POST /api/contact': function(body) {
+        const errors = {};
+        if (!body.name) errors.name = 'Name is required';
+        if (!body.email || !EMAIL_PATTERN.test(body.email)) errors.email = 'A valid email is required';
+        if (!body.message) errors.message = 'Message is required';
+
+        if (Object.keys(errors).length > 0) {
+            return { status: 422, body: { message: 'Validation failed on the server', errors: errors } };
+        }
+        return {
+            status: 201,
+            body: { id: Date.now().toString(36), receivedAt: new Date().toISOString() }
+        };
+    }
+};
+
+// Shared page state: counters survive a reload; the tab, theme and dropdown
+// selection travel in the URL
+const appState = createStore({
+    clicks: 0,
+    miniClicks: 0,
+    keyPresses: 0,
+    tab: 'tab1',
+    theme: 'system',
+    dropdown: [],
+    list: []
+}, {
+    storageKey: 'app-state',
+    persist: ['clicks', 'miniClicks', 'keyPresses'],
+    url: { tab: 'tab', theme: 'theme', dropdown: 'option' },
+    // Back/forward moves between tabs; the theme and the dropdown aren't undone by it
+    navigation: ['tab'],
+    validate: {
+        clicks: value => Number.isInteger(value) && value >= 0,
+        miniClicks: value => Number.isInteger(value) && value >= 0,
+        keyPresses: value => Number.isInteger(value) && value >= 0,
+        theme: value => THEME_PREFERENCES.includes(value)
+    }
+});
+
 // Additional features demonstration
 console.log('JavaScript Events Demo Loaded!');
 console.log('Available features:');
-console.log('- Mouse events: hover, move tracking');
+console.log('- Pointer events: mouse, touch and pen tracking with gestures, trail and heatmap');
+console.log('- Breakpoints: sm/md/lg via matchMedia, pixel ratio, orientation, element sizes');
+console.log('- Page lifecycle: visibility, freeze/resume, back/forward cache, online/offline');
+console.log('- Scroll navigation: section TOC with scrollspy, reading progress, scroll restore');
 console.log('- Click events: single, double-click, counters');
-console.log('- Form validation and submission');
+console.log('- Form validation and submission, with a character-limited message editor and Markdown preview');
 console.log('- Keyboard event handling');
-console.log('- Focus/blur state management');
+console.log('- Focus management: focus tracking, focus traps, tab order audit');
 console.log('- Window resize and scroll tracking');
 console.log('- Dynamic content creation/removal');
 console.log('- Event logging and debugging');
-
-// Easter egg
-let konamiCode = [];
-document.addEventListener('keydown', function(e) {
-    konamiCode.push(e.key);
-    if (konamiCode.length > 10) {
-        konamiCode.shift();
-    }
-
-    if (konamiCode.join('') === 'ArrowUpArrowUpArrowDownArrowDownArrowLeftArrowRightArrowLeftArrowRightba') {
-        alert('🎉 Konami Code activated! You found the easter egg!');
-        document.body.style.background = 'linear-gradient(45deg, #ff0000, #ffff00, #00ff00, #00ffff, #0000ff, #ff00ff)';
-        document.body.style.animation = 'rainbow 2s infinite';
-        setTimeout(() => {
-            document.body.style.background = '';
-            document.body.style.animation = '';
-        }, 5000);
-    }
-});
+console.log('- Internationalisation: JSON message catalogs, plural rules, locale dates/numbers, RTL layout');
+console.log('- App state: one store with undo/redo (Mod+Z / Mod+Shift+Z), saved counters and shareable ?tab=&theme=&option= links (see appState.getState())');
+console.log('- Components: every section mounts/unmounts cleanly (see getComponentStates(), remountComponent(name))');
@@ -0,0 +1,258 @@
+// Accordion component
+// Renders entries ({ id, question, answer }) loaded from a JSON source - either
+// a URL or '#id' of an inline <script type="application/json"> element.
+//   singleOpen - opening one entry closes the others
+//   deepLink   - '#faq-<id>' in the URL opens that entry
+//   localize   - maps an entry to the { question, answer } text to display
+//                (search() re-renders with it, e.g. after a language switch)
+//   onToggle   - called with (entry, open) whenever an entry opens or closes
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./dom-utils'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ listenerBinder }) {
+    function createAccordion(container, options = {}) {
+        const on = listenerBinder(options.signal);
+        const localize = options.localize || (entry => entry);
+        let singleOpen = !!options.singleOpen;
+        let items = [];
+        let autoExpanded = new Set();
+
+        function loadEntries(source) {
+            if (!source) {
+                return Promise.reject(new Error('createAccordion: no JSON source given'));
+            }
+            if (source.startsWith('#')) {
+                const script = document.querySelector(source);
+                if (!script) {
+                    return Promise.reject(new Error(`createAccordion: ${source} not found`));
+                }
+                return Promise.resolve().then(() => JSON.parse(script.textContent));
+            }
+            return fetch(source).then(response => {
+                if (!response.ok) throw new Error(`Could not load ${source} (${response.status})`);
+                return response.json();
+            });
+        }
+
+        // Lower-case text one character at a time, remembering which character of
+        // the original each folded code unit came from: lower-casing can change
+        // the length ('İ' becomes 'i̇'), so indexes don't carry over otherwise
+        function fold(text) {
+            let folded = '';
+            const starts = [];
+            const ends = [];
+            let offset = 0;
+            for (const char of text) {
+                const lower = char.toLowerCase();
+                for (let i = 0; i < lower.length; i++) {
+                    starts.push(offset);
+                    ends.push(offset + char.length);
+                }
+                folded += lower;
+                offset += char.length;
+            }
+            return { folded: folded, starts: starts, ends: ends };
+        }
+
+        // Replace the element's text, wrapping every match of the query in <mark>
+        function highlight(element, text, query) {
+            element.replaceChildren();
+            if (!query) {
+                element.textContent = text;
+                return false;
+            }
+
+            const target = fold(text);
+            const lowerQuery = fold(query).folded;
+            let position = 0;
+            let copied = 0;
+            let found = false;
+            let index;
+
+            while ((index = target.folded.indexOf(lowerQuery, position)) !== -1) {
+                // Marks cover whole characters of the original text
+                const start = Math.max(target.starts[index], copied);
+                const end = target.ends[index + lowerQuery.length - 1];
+                found = true;
+                element.append(text.slice(copied, start));
+                const mark = document.createElement('mark');
+                mark.textContent = text.slice(start, end);
+                element.append(mark);
+                copied = end;
+                position = index + lowerQuery.length;
+            }
+            element.append(text.slice(copied));
+            return found;
+        }
+
+        function renderItem(entry) {
+            const item = document.createElement('div');
+            item.className = 'faq-item';
+            item.id = `faq-${entry.id}`;
+
+            const toggle = document.createElement('button');
+            toggle.className = 'faq-toggle';
+            toggle.id = `faq-${entry.id}-toggle`;
+            toggle.setAttribute('aria-expanded', 'false');
+            toggle.setAttribute('aria-controls', `faq-${entry.id}-content`);
+
+            const text = localize(entry);
+            const question = document.createElement('span');
+            question.className = 'faq-question';
+            question.textContent = text.question;
+
+            const icon = document.createElement('span');
+            icon.className = 'toggle-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = '▼';
+            toggle.append(question, ' ', icon);
+
+            const content = document.createElement('div');
+            content.className = 'faq-content';
+            content.id = `faq-${entry.id}-content`;
+            content.setAttribute('role', 'region');
+            content.setAttribute('aria-labelledby', toggle.id);
+
+            const answer = document.createElement('p');
+            answer.textContent = text.answer;
+            content.appendChild(answer);
+
+            item.append(toggle, content);
+            return { entry: entry, element: item, toggle: toggle, content: content, question: question, answer: answer };
+        }
+
+        function isOpen(item) {
+            return item.toggle.getAttribute('aria-expanded') === 'true';
+        }
+
+        function setOpen(item, open, silent = false) {
+            if (isOpen(item) === open) return;
+            item.toggle.classList.toggle('active', open);
+            item.toggle.setAttribute('aria-expanded', open);
+            item.content.classList.toggle('show', open);
+            if (!silent && options.onToggle) options.onToggle(item.entry, open);
+        }
+
+        function open(item) {
+            if (singleOpen) {
+                items.forEach(other => {
+                    if (other !== item) setOpen(other, false);
+                });
+            }
+            setOpen(item, true);
+        }
+
+        function toggleItem(item) {
+            if (isOpen(item)) {
+                setOpen(item, false);
+            } else {
+                open(item);
+                // Shareable link to the open question, without adding history entries
+                if (options.deepLink) {
+                    history.replaceState(history.state, '', `#${item.element.id}`);
+                }
+            }
+        }
+
+        function openFromHash() {
+            const item = items.find(candidate => `#${candidate.element.id}` === window.location.hash);
+            if (item) {
+                open(item);
+                item.toggle.scrollIntoView({ block: 'center' });
+            }
+        }
+
+        // Arrow keys move between headers (WAI-ARIA accordion pattern)
+        on(container, 'keydown', function(e) {
+            const toggles = items.map(item => item.toggle);
+            const current = toggles.indexOf(document.activeElement);
+            if (current === -1) return;
+
+            let next;
+            switch (e.key) {
+                case 'ArrowDown':
+                    next = (current + 1) % toggles.length;
+                    break;
+                case 'ArrowUp':
+                    next = (current - 1 + toggles.length) % toggles.length;
+                    break;
+                case 'Home':
+                    next = 0;
+                    break;
+                case 'End':
+                    next = toggles.length - 1;
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+            toggles[next].focus();
+        });
+
+        // One delegated click handler for every header
+        on(container, 'click', function(e) {
+            const toggle = e.target.closest('.faq-toggle');
+            const item = toggle && items.find(candidate => candidate.toggle === toggle);
+            if (item) toggleItem(item);
+        });
+
+        const ready = loadEntries(options.source).then(entries => {
+            if (!Array.isArray(entries)) {
+                throw new Error('createAccordion: the JSON source must be an array of entries');
+            }
+            items = entries.map(renderItem);
+            container.replaceChildren(...items.map(item => item.element));
+            if (options.deepLink) {
+                openFromHash();
+                on(window, 'hashchange', openFromHash);
+            }
+            return items.length;
+        });
+
+        return {
+            ready: ready,
+            expandAll: () => items.forEach(item => setOpen(item, true)),
+            collapseAll: () => items.forEach(item => setOpen(item, false)),
+            setSingleOpen: function(value) {
+                singleOpen = !!value;
+                // Keep only the first open entry when switching to single mode
+                if (singleOpen) {
+                    items.filter(isOpen).slice(1).forEach(item => setOpen(item, false));
+                }
+            },
+            // Highlight matches and expand matching answers; returns the match count
+            search: function(query) {
+                let matches = 0;
+                autoExpanded.forEach(item => setOpen(item, false, true));
+                autoExpanded = new Set();
+
+                items.forEach(item => {
+                    const text = localize(item.entry);
+                    const inQuestion = highlight(item.question, text.question, query);
+                    const inAnswer = highlight(item.answer, text.answer, query);
+                    item.element.classList.toggle('no-match', !!query && !inQuestion && !inAnswer);
+
+                    if (inQuestion || inAnswer) {
+                        matches++;
+                        if (inAnswer && !isOpen(item) && (!singleOpen || autoExpanded.size === 0)) {
+                            // Single-open mode shows just the first matching answer
+                            if (singleOpen) {
+                                items.forEach(other => setOpen(other, false, true));
+                            }
+                            setOpen(item, true, true);
+                            autoExpanded.add(item);
+                        }
+                    }
+                });
+                return matches;
+            }
+        };
+    }
+
+    return {
+        createAccordion: createAccordion
+    };
+}));
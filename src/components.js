@@ -0,0 +1,139 @@
+// Components
+// Every section is a component: a root element plus mount/unmount hooks.
+// mount(ctx) receives a context whose helpers tie everything the section sets
+// up to one AbortController, so unmounting removes every listener, observer
+// and timer it created and the section can be mounted again cleanly.
+//   ctx.require(selector)          - element inside the root, or a clear error
+//   ctx.require(selector, document) - the same for an element elsewhere on the page
+//   ctx.on(target, type, handler)  - addEventListener bound to the component
+//   ctx.delegate(type, selector, handler) - one listener on the root for many children
+//   ctx.onCleanup(fn)              - extra teardown (subscriptions, created DOM)
+//   ctx.signal                     - pass to factories as options.signal
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./dom-utils'), require('./i18n'), require('./event-log')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ listenerBinder, t, eventLog }) {
+    const components = new Map();
+
+    function defineComponent(definition) {
+        if (!definition.name || typeof definition.mount !== 'function') {
+            throw new Error('defineComponent: a component needs a name and a mount function');
+        }
+        if (components.has(definition.name)) {
+            throw new Error(`defineComponent: "${definition.name}" is already defined`);
+        }
+        components.set(definition.name, { definition: definition, context: null });
+    }
+
+    function createComponentContext(definition) {
+        const name = definition.name;
+        const root = definition.root ? document.querySelector(definition.root) : document.body;
+        if (!root) {
+            throw new Error(`Component "${name}": root element "${definition.root}" not found`);
+        }
+
+        const controller = new AbortController();
+        const cleanups = [];
+
+        const context = {
+            name: name,
+            root: root,
+            signal: controller.signal,
+
+            require: function(selector, within = root) {
+                const element = within.querySelector(selector);
+                if (!element) {
+                    const place = within === root ? definition.root || 'body' : 'the document';
+                    throw new Error(`Component "${name}": required element "${selector}" not found in ${place}`);
+                }
+                return element;
+            },
+
+            on: listenerBinder(controller.signal),
+
+            // handler(event, matchedElement), with this = the matched element
+            delegate: function(type, selector, handler, options) {
+                context.on(root, type, function(e) {
+                    const match = e.target.closest ? e.target.closest(selector) : null;
+                    if (match && root.contains(match)) handler.call(match, e, match);
+                }, options);
+            },
+
+            onCleanup: function(fn) {
+                cleanups.push(fn);
+            },
+
+            destroy: function() {
+                controller.abort();
+                // Reverse order: later setup may depend on earlier setup
+                cleanups.splice(0).reverse().forEach(fn => fn());
+            }
+        };
+        return context;
+    }
+
+    function mountComponent(name) {
+        const entry = components.get(name);
+        if (!entry) {
+            throw new Error(`mountComponent: unknown component "${name}"`);
+        }
+        if (entry.context) return entry.context;
+
+        const context = createComponentContext(entry.definition);
+        try {
+            entry.definition.mount(context);
+        } catch (err) {
+            // Don't leave half a section wired up
+            context.destroy();
+            throw err;
+        }
+        entry.context = context;
+        document.dispatchEvent(new CustomEvent('componentchange', { detail: { name: name, mounted: true } }));
+        return context;
+    }
+
+    function unmountComponent(name) {
+        const entry = components.get(name);
+        if (!entry) {
+            throw new Error(`unmountComponent: unknown component "${name}"`);
+        }
+        if (!entry.context) return;
+
+        if (entry.definition.unmount) entry.definition.unmount(entry.context);
+        entry.context.destroy();
+        entry.context = null;
+        document.dispatchEvent(new CustomEvent('componentchange', { detail: { name: name, mounted: false } }));
+    }
+
+    function remountComponent(name) {
+        unmountComponent(name);
+        return mountComponent(name);
+    }
+
+    // Mount everything in definition order; one broken section doesn't stop the rest
+    function mountAllComponents() {
+        components.forEach((entry, name) => {
+            try {
+                mountComponent(name);
+            } catch (err) {
+                eventLog.log('demo', t('log.messages.demo.mountFailed', { name: name, error: err.message }), { severity: 'error' });
+            }
+        });
+    }
+
+    function getComponentStates() {
+        return Array.from(components, ([name, entry]) => ({ name: name, mounted: !!entry.context }));
+    }
+
+    return {
+        defineComponent: defineComponent,
+        mountComponent: mountComponent,
+        unmountComponent: unmountComponent,
+        remountComponent: remountComponent,
+        mountAllComponents: mountAllComponents,
+        getComponentStates: getComponentStates
+    };
+}));
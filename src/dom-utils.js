@@ -0,0 +1,29 @@
+// DOM Utilities
+// Listener helpers for the factories, which all take options.signal so that
+// aborting it removes every listener they added and runs their teardown.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    // Run fn when signal aborts (no-op without a signal, so factories work standalone too)
+    function onAbort(signal, fn) {
+        if (signal) signal.addEventListener('abort', fn, { once: true });
+    }
+
+    // addEventListener with the signal merged into its options; boolean options mean capture
+    function listenerBinder(signal) {
+        return function on(target, type, handler, options = {}) {
+            const listenerOptions = typeof options === 'boolean' ? { capture: options } : Object.assign({}, options);
+            if (signal) listenerOptions.signal = signal;
+            target.addEventListener(type, handler, listenerOptions);
+        };
+    }
+
+    return {
+        onAbort: onAbort,
+        listenerBinder: listenerBinder
+    };
+}));
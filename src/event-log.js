@@ -0,0 +1,222 @@
+// Event Log Component
+// One shared log that every section writes into. Entries carry a category
+// (mouse, form, faq, ...) and a severity; views render a filtered slice of
+// the log into a list and can be paused, searched, cleared and exported.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./dom-utils'), require('./i18n')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ onAbort, listenerBinder, i18n }) {
+    const EVENT_LOG_CONFIG = {
+        capacity: 500,                 // oldest entries are dropped beyond this
+        consoleLevel: 'warning'        // lowest severity also written to the console (null: none)
+    };
+
+    const EVENT_LOG_SEVERITIES = ['debug', 'info', 'success', 'warning', 'error'];
+
+    function createEventLog(options = {}) {
+        const config = Object.assign({}, EVENT_LOG_CONFIG, options);
+        let entries = [];
+        let nextId = 1;
+        const listeners = [];
+
+        function notify(change, entry) {
+            listeners.forEach(listener => listener(change, entry));
+        }
+
+        // log('faq', 'FAQ toggled', { severity: 'info', details: {...} })
+        function log(category, message, meta = {}) {
+            const entry = {
+                id: nextId++,
+                timestamp: Date.now(),
+                category: category,
+                severity: EVENT_LOG_SEVERITIES.includes(meta.severity) ? meta.severity : 'info',
+                message: message,
+                details: meta.details
+            };
+
+            entries.push(entry);
+            if (entries.length > config.capacity) {
+                entries.splice(0, entries.length - config.capacity);
+            }
+
+            if (config.consoleLevel &&
+                EVENT_LOG_SEVERITIES.indexOf(entry.severity) >= EVENT_LOG_SEVERITIES.indexOf(config.consoleLevel)) {
+                const method = entry.severity === 'error' ? 'error' :
+                    entry.severity === 'warning' ? 'warn' :
+                    entry.severity === 'debug' ? 'debug' : 'log';
+                console[method](`[${category}] ${message}`, entry.details !== undefined ? entry.details : '');
+            }
+
+            notify('add', entry);
+            return entry;
+        }
+
+        function clear() {
+            entries = [];
+            notify('clear');
+        }
+
+        function subscribe(listener) {
+            listeners.push(listener);
+            return function unsubscribe() {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+
+        function query(filter = {}) {
+            const search = (filter.search || '').toLowerCase();
+            return entries.filter(entry =>
+                (!filter.categories || filter.categories.includes(entry.category)) &&
+                (!filter.severity || entry.severity === filter.severity) &&
+                (!search || entry.message.toLowerCase().includes(search))
+            );
+        }
+
+        function toCSV(list) {
+            const escape = value => `"${String(value === undefined ? '' : value).replace(/"/g, '""')}"`;
+            const rows = list.map(entry => [
+                new Date(entry.timestamp).toISOString(),
+                entry.category,
+                entry.severity,
+                entry.message,
+                entry.details === undefined ? '' : JSON.stringify(entry.details)
+            ].map(escape).join(','));
+            return ['timestamp,category,severity,message,details'].concat(rows).join('\n');
+        }
+
+        function exportAs(format = 'json', filter) {
+            const list = query(filter);
+            return format === 'csv' ? toCSV(list) : JSON.stringify(list, null, 2);
+        }
+
+        // Save the (filtered) log as a file to attach to bug reports
+        function download(format = 'json', filter) {
+            const blob = new Blob([exportAs(format, filter)], {
+                type: format === 'csv' ? 'text/csv' : 'application/json'
+            });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `event-log-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        }
+
+        return {
+            log: log,
+            clear: clear,
+            subscribe: subscribe,
+            query: query,
+            exportAs: exportAs,
+            download: download,
+            getEntries: () => entries.slice()
+        };
+    }
+
+    // Render a live, filtered view of an event log into a <ul>
+    //   categories - only show these categories (default: all)
+    //   limit      - maximum number of rendered entries
+    function createEventLogView(eventLog, listElement, options = {}) {
+        const on = listenerBinder(options.signal);
+        const filter = {
+            categories: options.categories || null,
+            severity: '',
+            search: ''
+        };
+        const limit = options.limit || 50;
+        let paused = false;
+        let missed = 0;
+
+        function matches(entry) {
+            const search = filter.search.toLowerCase();
+            return (!filter.categories || filter.categories.includes(entry.category)) &&
+                (!filter.severity || entry.severity === filter.severity) &&
+                (!search || entry.message.toLowerCase().includes(search));
+        }
+
+        function createItem(entry) {
+            const item = document.createElement('li');
+            item.className = `log-entry severity-${entry.severity}`;
+            item.dataset.category = entry.category;
+            item.textContent = `[${i18n.formatTime(entry.timestamp)}] ${entry.message}`;
+            return item;
+        }
+
+        function trim() {
+            while (listElement.children.length > limit) {
+                listElement.removeChild(listElement.firstChild);
+            }
+        }
+
+        function render() {
+            const items = eventLog.query(filter).slice(-limit).map(createItem);
+            listElement.replaceChildren(...items);
+            listElement.scrollTop = listElement.scrollHeight;
+        }
+
+        const unsubscribe = eventLog.subscribe(function(change, entry) {
+            if (change === 'clear') {
+                missed = 0;
+                listElement.replaceChildren();
+                if (options.onPauseChange) options.onPauseChange(paused, missed);
+                return;
+            }
+            if (!matches(entry)) return;
+
+            // While paused the view is frozen; new entries show up on resume
+            if (paused) {
+                missed++;
+                if (options.onPauseChange) options.onPauseChange(paused, missed);
+                return;
+            }
+
+            listElement.appendChild(createItem(entry));
+            trim();
+
+            // Auto-scroll to bottom
+            listElement.scrollTop = listElement.scrollHeight;
+        });
+
+        // Timestamps are formatted for the current language
+        on(document, 'localechange', function() {
+            if (!paused) render();
+        });
+
+        onAbort(options.signal, unsubscribe);
+        render();
+
+        return {
+            setFilter: function(changes) {
+                Object.assign(filter, changes);
+                if (!paused) render();
+            },
+            pause: function() {
+                paused = true;
+                if (options.onPauseChange) options.onPauseChange(paused, missed);
+            },
+            resume: function() {
+                paused = false;
+                missed = 0;
+                render();
+                if (options.onPauseChange) options.onPauseChange(paused, missed);
+            },
+            isPaused: () => paused,
+            getFilter: () => Object.assign({}, filter),
+            render: render
+        };
+    }
+
+    // Shared log instance used by every section
+    const eventLog = createEventLog();
+
+    return {
+        createEventLog: createEventLog,
+        createEventLogView: createEventLogView,
+        eventLog: eventLog
+    };
+}));
@@ -0,0 +1,244 @@
+// Focus Toolkit
+// Shared focus helpers: which elements are focusable, a focus trap for
+// overlays and open menus (which also hands focus back to the opener), and a
+// tracker that records every focus move with the input that caused it.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./dom-utils'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ onAbort, listenerBinder }) {
+    const FOCUSABLE_SELECTOR = [
+        'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea',
+        'iframe', 'summary', '[contenteditable=""]', '[contenteditable="true"]', '[tabindex]'
+    ].join(', ');
+
+    // Focusable elements inside root, in tab order (positive tabindex first)
+    function getFocusableElements(root = document) {
+        const candidates = Array.from(root.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element => {
+            if (element.disabled || element.tabIndex < 0) return false;
+            if (element.closest('[hidden], [inert]')) return false;
+            // Skip anything not rendered (display: none or inside a collapsed parent)
+            return element.getClientRects().length > 0 || element === document.activeElement;
+        });
+
+        const positive = candidates.filter(element => element.tabIndex > 0)
+            .sort((a, b) => a.tabIndex - b.tabIndex);
+        return positive.concat(candidates.filter(element => element.tabIndex === 0));
+    }
+
+    // Short human-readable label for logs: button#save.primary "Save"
+    function describeElement(element) {
+        if (!element || element === document.body) return 'body';
+        let description = element.tagName.toLowerCase();
+        if (element.id) description += `#${element.id}`;
+        const className = typeof element.className === 'string' ? element.className.trim() : '';
+        if (className) description += '.' + className.split(/\s+/).slice(0, 2).join('.');
+        const name = getAccessibleName(element);
+        return name ? `${description} "${name.slice(0, 30)}"` : description;
+    }
+
+    // Good-enough accessible name for auditing (not the full accname algorithm)
+    function getAccessibleName(element) {
+        if (element.getAttribute('aria-label')) return element.getAttribute('aria-label').trim();
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            return labelledBy.split(/\s+/)
+                .map(id => document.getElementById(id))
+                .filter(Boolean)
+                .map(label => label.textContent.trim())
+                .join(' ');
+        }
+        if (element.labels && element.labels.length) return element.labels[0].textContent.trim();
+        if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) && element.textContent.trim()) {
+            return element.textContent.trim().replace(/\s+/g, ' ');
+        }
+        return (element.getAttribute('title') || element.getAttribute('placeholder') || '').trim();
+    }
+
+    // Traps are stacked so an overlay opened from inside another overlay works;
+    // only the topmost one handles Tab.
+    const focusTrapStack = [];
+
+    // Keeps Tab / Shift+Tab cycling inside container while active.
+    //   initialFocus - element (or function returning one) to focus on activate
+    //   returnFocus  - focus the element that was focused before activate (default true)
+    //   onEscape     - called when Escape is pressed inside the trap
+    //   allowOutsideClick - let a pointer move focus out (e.g. menus that close on outside click)
+    function createFocusTrap(container, options = {}) {
+        if (!container) {
+            throw new Error('createFocusTrap: container element not found');
+        }
+
+        let opener = null;
+        let active = false;
+        let pointerOutside = false;
+
+        function isTop() {
+            return focusTrapStack[focusTrapStack.length - 1] === trap;
+        }
+
+        function onKeydown(e) {
+            pointerOutside = false;
+            if (!isTop()) return;
+
+            if (e.key === 'Escape' && options.onEscape) {
+                e.preventDefault();
+                options.onEscape(e);
+                return;
+            }
+            if (e.key !== 'Tab') return;
+
+            const focusable = getFocusableElements(container);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const current = document.activeElement;
+            if (e.shiftKey && (current === first || !container.contains(current))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (current === last || !container.contains(current))) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        function onPointerdown(e) {
+            pointerOutside = !container.contains(e.target);
+        }
+
+        // Pull focus back if something outside (e.g. a script) grabs it
+        function onFocusin(e) {
+            if (!isTop() || container.contains(e.target)) return;
+            if (options.allowOutsideClick && pointerOutside) return;
+            const focusable = getFocusableElements(container);
+            (focusable[0] || container).focus();
+        }
+
+        function activate() {
+            if (active) return;
+            active = true;
+            opener = document.activeElement;
+            focusTrapStack.push(trap);
+            document.addEventListener('keydown', onKeydown, true);
+            document.addEventListener('pointerdown', onPointerdown, true);
+            document.addEventListener('focusin', onFocusin);
+
+            const initial = typeof options.initialFocus === 'function' ?
+                options.initialFocus() : options.initialFocus;
+            const target = initial || getFocusableElements(container)[0];
+            if (target && !container.contains(document.activeElement)) target.focus();
+        }
+
+        function deactivate(deactivateOptions = {}) {
+            if (!active) return;
+            active = false;
+            focusTrapStack.splice(focusTrapStack.indexOf(trap), 1);
+            document.removeEventListener('keydown', onKeydown, true);
+            document.removeEventListener('pointerdown', onPointerdown, true);
+            document.removeEventListener('focusin', onFocusin);
+            pointerOutside = false;
+
+            const returnFocus = 'returnFocus' in deactivateOptions ?
+                deactivateOptions.returnFocus : options.returnFocus !== false;
+            // The opener may have been removed while the trap was open
+            if (returnFocus && opener && opener.isConnected && opener.focus) {
+                opener.focus();
+            }
+            opener = null;
+        }
+
+        const trap = {
+            activate: activate,
+            deactivate: deactivate,
+            isActive: () => active
+        };
+        return trap;
+    }
+
+    // Records focus moves and whether the keyboard, a pointer or a script caused
+    // them. Also polyfills :focus-visible: the focused element gets .focus-ring
+    // and <html> gets data-focus-modality, for browsers without the selector.
+    function createFocusTracker(options = {}) {
+        const on = listenerBinder(options.signal);
+        const limit = options.limit || 20;
+        const listeners = [];
+        const history = [];
+        let modality = 'script';
+        let ringElement = null;
+
+        function notify(entry) {
+            listeners.forEach(listener => listener(entry, history));
+        }
+
+        on(document, 'keydown', function(e) {
+            // Modifier-only shortcuts (Ctrl+C etc.) aren't navigation
+            if (e.metaKey || e.ctrlKey || e.altKey) return;
+            modality = 'keyboard';
+        }, true);
+
+        on(document, 'pointerdown', function() {
+            modality = 'pointer';
+        }, true);
+
+        on(document, 'focusin', function(e) {
+            const element = e.target;
+            const entry = {
+                element: element,
+                description: describeElement(element),
+                modality: modality,
+                time: new Date()
+            };
+            history.unshift(entry);
+            if (history.length > limit) history.pop();
+
+            if (ringElement) ringElement.classList.remove('focus-ring');
+            ringElement = modality === 'keyboard' ? element : null;
+            if (ringElement) ringElement.classList.add('focus-ring');
+            document.documentElement.dataset.focusModality = modality;
+
+            notify(entry);
+            // Focus moved by code (e.g. a dialog opening) counts as script until the next input
+            modality = 'script';
+        });
+
+        on(document, 'focusout', function(e) {
+            if (e.target === ringElement) {
+                ringElement.classList.remove('focus-ring');
+                ringElement = null;
+            }
+        });
+
+        onAbort(options.signal, function() {
+            if (ringElement) ringElement.classList.remove('focus-ring');
+            delete document.documentElement.dataset.focusModality;
+        });
+
+        function subscribe(listener) {
+            listeners.push(listener);
+            return function unsubscribe() {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+
+        return {
+            subscribe: subscribe,
+            getHistory: () => history.slice(),
+            getCurrent: () => document.activeElement
+        };
+    }
+
+    return {
+        getFocusableElements: getFocusableElements,
+        describeElement: describeElement,
+        getAccessibleName: getAccessibleName,
+        createFocusTrap: createFocusTrap,
+        createFocusTracker: createFocusTracker
+    };
+}));
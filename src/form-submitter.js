@@ -0,0 +1,209 @@
+// Form Submission Transport
+// Sends validated form data to an endpoint as JSON or multipart, retrying
+// failed attempts with exponential backoff. While the browser is offline,
+// submissions go to an IndexedDB queue and are flushed once it reconnects.
+// onStatus(message, severity) reports each step with an event log severity
+// ('info', 'success', 'warning' or 'error').
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./dom-utils'), require('./i18n')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ listenerBinder, t }) {
+    const SUBMISSION_CONFIG = {
+        endpoint: '/api/contact',
+        method: 'POST',
+        encoding: 'json',       // 'json' or 'multipart'
+        retries: 3,             // extra attempts after the first one
+        retryDelay: 500,        // base delay in ms, doubled on every retry
+        timeout: 10000,
+        useMockServer: true     // no real backend ships with this demo
+    };
+
+    function createFormSubmitter(options = {}) {
+        const on = listenerBinder(options.signal);
+        const config = Object.assign({}, SUBMISSION_CONFIG, options);
+        const queue = config.queue || null;
+        let flushing = false;
+
+        function status(message, severity = 'info') {
+            if (config.onStatus) config.onStatus(message, severity);
+        }
+
+        function buildRequest(data) {
+            if (config.encoding === 'multipart') {
+                const body = new FormData();
+                Object.keys(data).forEach(key => body.append(key, data[key]));
+                // The browser sets the multipart boundary header itself
+                return { method: config.method, body: body };
+            }
+            return {
+                method: config.method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            };
+        }
+
+        function wait(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        }
+
+        // One HTTP attempt with a timeout; resolves with the parsed response body
+        function attempt(data) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), config.timeout);
+            const request = Object.assign(buildRequest(data), { signal: controller.signal });
+
+            return fetch(config.endpoint, request)
+                .then(response => response.text().then(text => {
+                    let body = text;
+                    try {
+                        body = text ? JSON.parse(text) : null;
+                    } catch (err) {
+                        // Non-JSON responses are passed through as text
+                    }
+
+                    if (!response.ok) {
+                        const error = new Error((body && body.message) || `Server responded with ${response.status}`);
+                        error.status = response.status;
+                        error.body = body;
+                        throw error;
+                    }
+                    return body;
+                }))
+                .finally(() => clearTimeout(timer));
+        }
+
+        // Network failures and 5xx/429 responses are worth retrying; other 4xx are not
+        function isRetryable(error) {
+            return error.status === undefined || error.status >= 500 || error.status === 429;
+        }
+
+        function send(data) {
+            const maxAttempts = config.retries + 1;
+
+            function run(attemptNumber) {
+                status(t('log.messages.form.sending', { attempt: attemptNumber, max: maxAttempts }), 'info');
+                return attempt(data).catch(error => {
+                    if (attemptNumber >= maxAttempts || !isRetryable(error)) {
+                        throw error;
+                    }
+                    const delay = config.retryDelay * Math.pow(2, attemptNumber - 1);
+                    status(t('log.messages.form.retrying', { error: error.message, delay: delay }), 'warning');
+                    return wait(delay).then(() => run(attemptNumber + 1));
+                });
+            }
+
+            return run(1);
+        }
+
+        function enqueue(data) {
+            if (!queue) {
+                return Promise.reject(new Error('You are offline and no submission queue is configured'));
+            }
+            return queue.add({ data: data, queuedAt: Date.now() }).then(() => {
+                status(t('log.messages.form.queued'), 'warning');
+                return { status: 'queued' };
+            });
+        }
+
+        // Resolves with { status: 'sent', response } or { status: 'queued' }
+        function submit(data) {
+            if (!navigator.onLine) {
+                return enqueue(data);
+            }
+
+            return send(data)
+                .then(response => ({ status: 'sent', response: response }))
+                .catch(error => {
+                    // Lost the connection mid-flight: keep the data instead of dropping it
+                    if (error.status === undefined && !navigator.onLine && queue) {
+                        return enqueue(data);
+                    }
+                    throw error;
+                });
+        }
+
+        // Send everything waiting in the queue, oldest first; stops at the first failure
+        function flush() {
+            if (!queue || flushing || !navigator.onLine) {
+                return Promise.resolve(0);
+            }
+            flushing = true;
+            let sent = 0;
+
+            return queue.getAll()
+                // A queue that can't be opened (e.g. no IndexedDB) holds nothing to send
+                .catch(() => [])
+                .then(entries => entries.reduce((chain, entry) => chain
+                    .then(() => send(entry.data))
+                    .then(() => queue.remove(entry.id))
+                    .then(() => {
+                        sent++;
+                        status(t('log.messages.form.sentQueued', { queuedAt: entry.queuedAt }), 'success');
+                    }), Promise.resolve()))
+                .catch(error => {
+                    status(t('log.messages.form.flushFailed', { error: error.message }), 'error');
+                })
+                .then(() => {
+                    flushing = false;
+                    return sent;
+                });
+        }
+
+        on(window, 'online', flush);
+
+        return {
+            submit: submit,
+            flush: flush,
+            config: config
+        };
+    }
+
+    // Offline Submission Queue (IndexedDB)
+    function createSubmissionQueue(dbName = 'events-demo-submissions', storeName = 'queue') {
+        let dbPromise = null;
+
+        function open() {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    if (!window.indexedDB) {
+                        reject(new Error('IndexedDB is not available in this browser'));
+                        return;
+                    }
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        }
+
+        // Run a single request inside a transaction and resolve with its result
+        function withStore(mode, callback) {
+            return open().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = callback(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            }));
+        }
+
+        return {
+            add: entry => withStore('readwrite', store => store.add(entry)),
+            getAll: () => withStore('readonly', store => store.getAll()),
+            remove: id => withStore('readwrite', store => store.delete(id)),
+            count: () => withStore('readonly', store => store.count())
+        };
+    }
+
+    return {
+        SUBMISSION_CONFIG: SUBMISSION_CONFIG,
+        createFormSubmitter: createFormSubmitter,
+        createSubmissionQueue: createSubmissionQueue
+    };
+}));
@@ -0,0 +1,431 @@
+// Form Validation Engine
+// A form declares a schema of fields and their rules; the engine wires up
+// live (input), on-blur and on-submit validation, border state and messages.
+//
+// Supported field rules:
+//   element       - element or element ID (defaults to the form control named like the field)
+//   required      - true or a custom message
+//   minLength     - minimum (trimmed) length
+//   maxLength     - maximum (trimmed) length
+//   pattern       - regular expression the value must match
+//   matches       - name of another field whose value this one must equal
+//   validate      - custom predicate (value, values) => true | false | 'error message'
+//   asyncValidate - like validate, but returns a Promise (e.g. a server-side check)
+//   messages      - overrides for the built-in rule messages
+//   validMessage  - optional message shown when the field is valid
+//   emptyMessage  - optional message shown while an optional field is empty
+//                   (any message may be a function, called each time it is
+//                   shown, e.g. i18n.lazy('form.name.required'))
+//   feedback      - element or element ID that receives the field message
+//                   (linked to the field through aria-describedby)
+//   label         - name used in the error summary (defaults to the <label> text)
+//   validateOn    - events that trigger live validation (default ['input', 'blur'])
+//   trim          - trim the value before checking (default true)
+// Lengths count characters (code points), not UTF-16 units. Visible messages
+// are re-rendered when the language changes.
+//
+// Options:
+//   summary       - element or ID for the error summary rendered on a failed submit
+//   announcer     - aria-live element or ID used to announce submit results
+//   onFieldInput, onFieldValidated, onSubmit, onInvalid - hooks
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./dom-utils'), require('./i18n')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ listenerBinder, t }) {
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    // Letters from any script (with combining marks), plus the spaces, apostrophes,
+    // hyphens and dots found inside names like "Ana-María O'Neil" or "J. Ng"
+    const NAME_PATTERN = /^\p{L}[\p{L}\p{M}\s'’.-]*$/u;
+
+    const VALIDATION_COLORS = {
+        valid: '#28a745',
+        invalid: '#dc3545',
+        neutral: ''
+    };
+
+    const DEFAULT_VALIDATION_MESSAGES = {
+        required: () => t('validation.required'),
+        minLength: rules => t('validation.minLength', { count: rules.minLength }),
+        maxLength: rules => t('validation.maxLength', { count: rules.maxLength }),
+        pattern: () => t('validation.pattern'),
+        matches: rules => t('validation.matches', { field: rules.matches }),
+        validate: () => t('validation.validate')
+    };
+
+    function createFormValidator(root, schema, options = {}) {
+        const on = listenerBinder(options.signal);
+        const fields = {};
+        let lastErrors = {};
+
+        // Resolve the elements for every field up front
+        Object.keys(schema).forEach(name => {
+            const rules = schema[name];
+            const element = resolveElement(rules.element) ||
+                (root.elements ? root.elements.namedItem(name) : null);
+
+            if (!element) {
+                throw new Error(`createFormValidator: no element found for field "${name}"`);
+            }
+
+            fields[name] = {
+                name: name,
+                rules: rules,
+                element: element,
+                feedback: resolveElement(rules.feedback),
+                asyncToken: 0
+            };
+            linkFeedback(fields[name]);
+        });
+
+        const summary = resolveElement(options.summary);
+        const announcer = resolveElement(options.announcer);
+
+        function resolveElement(ref) {
+            if (!ref) return null;
+            return typeof ref === 'string' ? document.getElementById(ref) : ref;
+        }
+
+        // Point the field's aria-describedby at its message element
+        function linkFeedback(field) {
+            if (!field.feedback) return;
+            if (!field.feedback.id) {
+                field.feedback.id = `${field.element.id || field.name}-message`;
+            }
+            const describedBy = (field.element.getAttribute('aria-describedby') || '')
+                .split(/\s+/)
+                .filter(Boolean);
+            if (!describedBy.includes(field.feedback.id)) {
+                describedBy.push(field.feedback.id);
+                field.element.setAttribute('aria-describedby', describedBy.join(' '));
+            }
+        }
+
+        function getLabel(field) {
+            if (field.rules.label) return field.rules.label;
+            const label = field.element.id ?
+                document.querySelector(`label[for="${field.element.id}"]`) : null;
+            return label ? label.textContent.replace(/:\s*$/, '').trim() : field.name;
+        }
+
+        function getValue(field) {
+            const value = field.element.type === 'checkbox' ?
+                (field.element.checked ? field.element.value : '') :
+                field.element.value;
+            return field.rules.trim === false ? value : value.trim();
+        }
+
+        function getValues() {
+            const values = {};
+            Object.keys(fields).forEach(name => {
+                values[name] = getValue(fields[name]);
+            });
+            return values;
+        }
+
+        function formatMessage(field, rule) {
+            const custom = field.rules.messages && field.rules.messages[rule];
+            const template = custom || DEFAULT_VALIDATION_MESSAGES[rule];
+            if (typeof template === 'function') return template(field.rules);
+            return template.replace(/\{(\w+)\}/g, (match, key) => field.rules[key]);
+        }
+
+        function resolveText(text) {
+            return typeof text === 'function' ? text() : (text || '');
+        }
+
+        function characterCount(value) {
+            return Array.from(value).length;
+        }
+
+        // Run the synchronous rules; returns an error message or null
+        function checkSyncRules(field, value, values) {
+            const rules = field.rules;
+
+            if (value === '') {
+                if (rules.required) {
+                    return rules.required === true ?
+                        formatMessage(field, 'required') : resolveText(rules.required);
+                }
+                return null;
+            }
+
+            if (rules.minLength !== undefined && characterCount(value) < rules.minLength) {
+                return formatMessage(field, 'minLength');
+            }
+
+            if (rules.maxLength !== undefined && characterCount(value) > rules.maxLength) {
+                return formatMessage(field, 'maxLength');
+            }
+
+            if (rules.pattern && !rules.pattern.test(value)) {
+                return formatMessage(field, 'pattern');
+            }
+
+            if (rules.matches && value !== values[rules.matches]) {
+                return formatMessage(field, 'matches');
+            }
+
+            if (rules.validate) {
+                const outcome = rules.validate(value, values);
+                if (outcome !== true && outcome !== undefined) {
+                    return typeof outcome === 'string' ? outcome : formatMessage(field, 'validate');
+                }
+            }
+
+            return null;
+        }
+
+        function buildResult(field, error, value) {
+            if (error) {
+                return { valid: false, state: 'invalid', message: error };
+            }
+            if (value === '') {
+                return { valid: true, state: 'neutral', message: resolveText(field.rules.emptyMessage) };
+            }
+            return { valid: true, state: 'valid', message: resolveText(field.rules.validMessage) };
+        }
+
+        function applyResult(field, result, trigger) {
+            field.element.style.borderColor = VALIDATION_COLORS[result.state];
+
+            // Colour is never the only signal: expose the state to assistive tech too
+            if (result.state === 'invalid') {
+                field.element.setAttribute('aria-invalid', 'true');
+            } else {
+                field.element.removeAttribute('aria-invalid');
+            }
+
+            if (field.feedback) {
+                field.feedback.textContent = result.message;
+                field.feedback.dataset.state = result.state;
+                field.feedback.style.color = result.state === 'neutral' ?
+                    '#666' : VALIDATION_COLORS[result.state];
+            }
+
+            // A language switch only re-renders; it isn't a new validation event
+            if (options.onFieldValidated && trigger !== 'refresh') {
+                options.onFieldValidated(field.name, result, trigger);
+            }
+        }
+
+        // Validate a single field; resolves with { valid, state, message }
+        function validateField(name, trigger = 'manual') {
+            const field = fields[name];
+            const values = getValues();
+            const value = values[name];
+
+            // Live checks don't nag about empty fields - only submit enforces required
+            if (value === '' && trigger !== 'submit' && trigger !== 'refresh') {
+                const neutral = buildResult(field, null, value);
+                applyResult(field, neutral, trigger);
+                return Promise.resolve(neutral);
+            }
+
+            const error = checkSyncRules(field, value, values);
+            const token = ++field.asyncToken;
+
+            if (error || value === '' || !field.rules.asyncValidate) {
+                const result = buildResult(field, error, value);
+                applyResult(field, result, trigger);
+                return Promise.resolve(result);
+            }
+
+            return Promise.resolve(field.rules.asyncValidate(value, values))
+                .catch(err => err && err.message ? err.message : formatMessage(field, 'validate'))
+                .then(outcome => {
+                    const asyncError = outcome === true || outcome === undefined ? null :
+                        (typeof outcome === 'string' ? outcome : formatMessage(field, 'validate'));
+                    const result = buildResult(field, asyncError, value);
+
+                    // Ignore results that were overtaken by newer input
+                    if (token === field.asyncToken) {
+                        applyResult(field, result, trigger);
+                    }
+                    return result;
+                });
+        }
+
+        // Validate every field; resolves with { valid, errors, data }
+        function validateAll(trigger = 'manual') {
+            const names = Object.keys(fields);
+            return Promise.all(names.map(name => validateField(name, trigger)))
+                .then(results => {
+                    const errors = {};
+                    results.forEach((result, index) => {
+                        if (!result.valid) {
+                            errors[names[index]] = result.message;
+                        }
+                    });
+                    lastErrors = errors;
+                    return {
+                        valid: Object.keys(errors).length === 0,
+                        errors: errors,
+                        data: getValues()
+                    };
+                });
+        }
+
+        // Re-check fields that reference the changed one (e.g. confirm password)
+        function revalidateDependents(name, trigger) {
+            Object.keys(fields).forEach(otherName => {
+                const other = fields[otherName];
+                if (other.rules.matches === name && getValue(other) !== '') {
+                    validateField(otherName, trigger);
+                }
+            });
+        }
+
+        function reset() {
+            Object.keys(fields).forEach(name => {
+                const field = fields[name];
+                field.asyncToken++;
+                if (root.tagName !== 'FORM') {
+                    field.element.value = '';
+                }
+                field.element.style.borderColor = VALIDATION_COLORS.neutral;
+                field.element.removeAttribute('aria-invalid');
+                if (field.feedback) {
+                    field.feedback.textContent = resolveText(field.rules.emptyMessage);
+                    field.feedback.dataset.state = 'neutral';
+                    field.feedback.style.color = '';
+                }
+            });
+            if (root.tagName === 'FORM') {
+                root.reset();
+            }
+            lastErrors = {};
+            hideSummary();
+        }
+
+        // Error summary: a list of links to each invalid field
+        function renderSummary(errors) {
+            if (!summary) return;
+            const names = Object.keys(errors);
+            const list = document.createElement('ul');
+
+            names.forEach(name => {
+                const field = fields[name];
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#${field.element.id}`;
+                link.textContent = `${getLabel(field)}: ${errors[name]}`;
+                on(link, 'click', function(e) {
+                    e.preventDefault();
+                    field.element.focus();
+                });
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+
+            const heading = document.createElement('p');
+            heading.className = 'error-summary-title';
+            heading.textContent = t('validation.summary', { count: names.length });
+
+            summary.replaceChildren(heading, list);
+            summary.hidden = false;
+        }
+
+        function hideSummary() {
+            if (!summary) return;
+            summary.hidden = true;
+            summary.replaceChildren();
+        }
+
+        // Write to the aria-live region (cleared first so repeats are re-announced)
+        function announce(message) {
+            if (!announcer) return;
+            announcer.textContent = '';
+            setTimeout(() => {
+                announcer.textContent = message;
+            }, 50);
+        }
+
+        // Re-render the messages currently on screen (and the summary) in the new language
+        function refreshMessages() {
+            const shown = Object.keys(fields).filter(name => {
+                const field = fields[name];
+                return field.element.hasAttribute('aria-invalid') || (field.feedback && field.feedback.textContent);
+            });
+            Promise.all(shown.map(name => validateField(name, 'refresh').then(result => [name, result])))
+                .then(results => {
+                    if (!summary || summary.hidden) return;
+                    const errors = {};
+                    results.forEach(([name, result]) => {
+                        if (!result.valid) errors[name] = result.message;
+                    });
+                    lastErrors = errors;
+                    if (Object.keys(errors).length) {
+                        renderSummary(errors);
+                    } else {
+                        hideSummary();
+                    }
+                });
+        }
+
+        on(document, 'localechange', refreshMessages);
+
+        // Wire up live validation for each field
+        Object.keys(fields).forEach(name => {
+            const field = fields[name];
+            const triggers = field.rules.validateOn || ['input', 'blur'];
+
+            on(field.element, 'input', function() {
+                if (options.onFieldInput) {
+                    options.onFieldInput(name, this.value);
+                }
+
+                if (triggers.includes('input')) {
+                    validateField(name, 'input');
+                } else {
+                    // Clear validation styling when user starts typing again
+                    field.element.style.borderColor = VALIDATION_COLORS.neutral;
+                }
+                revalidateDependents(name, 'input');
+            });
+
+            if (triggers.includes('blur')) {
+                on(field.element, 'blur', function() {
+                    validateField(name, 'blur');
+                });
+            }
+        });
+
+        // Submit handling (only when the root is an actual form)
+        if (root.tagName === 'FORM') {
+            on(root, 'submit', function(e) {
+                e.preventDefault();
+                validateAll('submit').then(outcome => {
+                    if (outcome.valid) {
+                        hideSummary();
+                        if (options.onSubmit) options.onSubmit(outcome.data);
+                    } else {
+                        const count = Object.keys(outcome.errors).length;
+                        renderSummary(outcome.errors);
+                        announce(t('validation.notSubmitted', { count: count }));
+                        fields[Object.keys(outcome.errors)[0]].element.focus();
+                        if (options.onInvalid) options.onInvalid(outcome.errors);
+                    }
+                });
+            });
+        }
+
+        return {
+            fields: fields,
+            validateField: validateField,
+            validateAll: validateAll,
+            getValues: getValues,
+            getErrors: () => Object.assign({}, lastErrors),
+            announce: announce,
+            reset: reset
+        };
+    }
+
+    return {
+        EMAIL_PATTERN: EMAIL_PATTERN,
+        NAME_PATTERN: NAME_PATTERN,
+        createFormValidator: createFormValidator
+    };
+}));
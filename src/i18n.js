@@ -0,0 +1,262 @@
+// Internationalisation
+// Message catalogs are JSON blocks in index.html, one per locale:
+//   <script type="application/json" data-i18n-catalog="es">{ "meta": {...}, "click": {...} }</script>
+// Keys are dotted paths into the catalog. Messages interpolate {name}
+// placeholders (numbers are formatted for the locale; {name, date},
+// {name, time} and {name, datetime} format timestamps), and a message given as
+// an object is a plural form picked with Intl.PluralRules on params.count
+// ("=0" style keys match exact counts first).
+//
+// Static markup is translated through attributes, and so is any element
+// rendered with localize(), so switching language re-renders it in place:
+//   data-i18n="key"                      - textContent
+//   data-i18n-params='{"count": 2}'      - params for data-i18n
+//   data-i18n-attr="placeholder:key"     - attributes, separated by ";"
+// Switching language sets lang/dir on <html> and fires a 'localechange'
+// event on document. Event log entries that report what the user did are
+// logged through t() as well; raw event dumps (pointer, key, focus and
+// lifecycle events, with their event names and codes) are diagnostics and
+// stay in English.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    const I18N_CONFIG = {
+        defaultLocale: 'en',
+        storageKey: 'locale-preference'
+    };
+
+    function createI18n(options = {}) {
+        const config = Object.assign({}, I18N_CONFIG, options);
+        const catalogs = {};
+        const pluralRules = {};
+        const missing = new Set();
+        let locale = config.defaultLocale;
+
+        document.querySelectorAll('script[type="application/json"][data-i18n-catalog]').forEach(script => {
+            try {
+                catalogs[script.dataset.i18nCatalog] = JSON.parse(script.textContent);
+            } catch (err) {
+                console.error(`i18n: catalog "${script.dataset.i18nCatalog}" is not valid JSON`, err);
+            }
+        });
+
+        if (!catalogs[config.defaultLocale]) {
+            throw new Error(`createI18n: no catalog for the default locale "${config.defaultLocale}"`);
+        }
+
+        // Best available catalog: exact tag, then its language ("es-MX" -> "es")
+        function resolveLocale(requested) {
+            if (!requested) return null;
+            if (catalogs[requested]) return requested;
+            const language = requested.split('-')[0].toLowerCase();
+            return catalogs[language] ? language : null;
+        }
+
+        function lookup(code, key) {
+            return key.split('.').reduce((node, part) =>
+                (node && typeof node === 'object' ? node[part] : undefined), catalogs[code]);
+        }
+
+        function has(key) {
+            return lookup(locale, key) !== undefined || lookup(config.defaultLocale, key) !== undefined;
+        }
+
+        function selectPlural(forms, count) {
+            if (forms[`=${count}`] !== undefined) return forms[`=${count}`];
+            if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+            const category = pluralRules[locale].select(count);
+            return forms[category] !== undefined ? forms[category] : forms.other;
+        }
+
+        function formatParam(value, format) {
+            if (format === 'date') return formatDate(value);
+            if (format === 'time') return formatTime(value);
+            if (format === 'datetime') return formatDateTime(value);
+            return typeof value === 'number' ? formatNumber(value) : String(value);
+        }
+
+        function t(key, params = {}) {
+            let message = lookup(locale, key);
+            if (message === undefined) message = lookup(config.defaultLocale, key);
+            if (message === undefined) {
+                if (!missing.has(key)) {
+                    missing.add(key);
+                    console.warn(`i18n: missing message "${key}"`);
+                }
+                return key;
+            }
+
+            if (typeof message === 'object') {
+                message = selectPlural(message, params.count);
+            }
+
+            return message.replace(/\{(\w+)(?:,\s*(\w+))?\}/g, (match, name, format) =>
+                (params[name] === undefined ? match : formatParam(params[name], format)));
+        }
+
+        // Deferred t() for messages stored ahead of time (e.g. validation schemas)
+        function lazy(key, params) {
+            return () => t(key, params);
+        }
+
+        function formatNumber(value, formatOptions) {
+            return new Intl.NumberFormat(locale, formatOptions).format(value);
+        }
+
+        function formatDate(value, formatOptions = { dateStyle: 'medium' }) {
+            return new Intl.DateTimeFormat(locale, formatOptions).format(new Date(value));
+        }
+
+        function formatTime(value, formatOptions = { timeStyle: 'medium' }) {
+            return new Intl.DateTimeFormat(locale, formatOptions).format(new Date(value));
+        }
+
+        function formatDateTime(value) {
+            return formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+        }
+
+        function formatList(items, formatOptions = { type: 'conjunction' }) {
+            return new Intl.ListFormat(locale, formatOptions).format(items);
+        }
+
+        // Render a message into an element and remember it for the next language
+        // switch; a null key empties the element
+        function localize(element, key, params) {
+            if (key === null) {
+                delete element.dataset.i18n;
+                delete element.dataset.i18nParams;
+                element.textContent = '';
+                return;
+            }
+            element.dataset.i18n = key;
+            if (params) {
+                element.dataset.i18nParams = JSON.stringify(params);
+            } else {
+                delete element.dataset.i18nParams;
+            }
+            element.textContent = t(key, params);
+        }
+
+        function localizeAttribute(element, name, key) {
+            const mapping = parseAttributeMapping(element.dataset.i18nAttr);
+            mapping[name] = key;
+            element.dataset.i18nAttr = Object.keys(mapping).map(attr => `${attr}:${mapping[attr]}`).join(';');
+            element.setAttribute(name, t(key));
+        }
+
+        function parseAttributeMapping(value) {
+            const mapping = {};
+            (value || '').split(';').forEach(pair => {
+                const [name, key] = pair.split(':').map(part => part.trim());
+                if (name && key) mapping[name] = key;
+            });
+            return mapping;
+        }
+
+        function translate(root = document) {
+            root.querySelectorAll('[data-i18n]').forEach(element => {
+                const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : undefined;
+                element.textContent = t(element.dataset.i18n, params);
+            });
+            root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+                const mapping = parseAttributeMapping(element.dataset.i18nAttr);
+                Object.keys(mapping).forEach(name => element.setAttribute(name, t(mapping[name])));
+            });
+        }
+
+        function getDirection(code = locale) {
+            const meta = catalogs[code] && catalogs[code].meta;
+            return meta && meta.dir === 'rtl' ? 'rtl' : 'ltr';
+        }
+
+        function getLocales() {
+            return Object.keys(catalogs).map(code => ({
+                code: code,
+                name: (catalogs[code].meta && catalogs[code].meta.name) || code,
+                dir: getDirection(code)
+            }));
+        }
+
+        function getStoredLocale() {
+            try {
+                return localStorage.getItem(config.storageKey);
+            } catch (err) {
+                return null;
+            }
+        }
+
+        // Saved choice, then the browser's languages, then the default
+        function getPreferredLocale() {
+            const candidates = [getStoredLocale()].concat(navigator.languages || [navigator.language]);
+            for (const candidate of candidates) {
+                const resolved = resolveLocale(candidate);
+                if (resolved) return resolved;
+            }
+            return config.defaultLocale;
+        }
+
+        function apply() {
+            document.documentElement.lang = locale;
+            document.documentElement.dir = getDirection();
+            translate(document);
+        }
+
+        function setLocale(code) {
+            const resolved = resolveLocale(code);
+            if (!resolved) {
+                throw new Error(`i18n: no catalog for locale "${code}"`);
+            }
+            try {
+                localStorage.setItem(config.storageKey, resolved);
+            } catch (err) {
+                // Storage may be unavailable (private mode); the choice just won't persist
+            }
+            if (resolved === locale) return;
+
+            const previous = locale;
+            locale = resolved;
+            apply();
+            document.dispatchEvent(new CustomEvent('localechange', {
+                detail: { locale: locale, previousLocale: previous, dir: getDirection() }
+            }));
+        }
+
+        locale = getPreferredLocale();
+        apply();
+
+        return {
+            t: t,
+            has: has,
+            lazy: lazy,
+            localize: localize,
+            localizeAttribute: localizeAttribute,
+            translate: translate,
+            formatNumber: formatNumber,
+            formatDate: formatDate,
+            formatTime: formatTime,
+            formatDateTime: formatDateTime,
+            formatList: formatList,
+            setLocale: setLocale,
+            getLocale: () => locale,
+            getDirection: getDirection,
+            getLocales: getLocales
+        };
+    }
+
+    const i18n = createI18n();
+
+    // Shorthand used throughout the sections
+    function t(key, params) {
+        return i18n.t(key, params);
+    }
+
+    return {
+        createI18n: createI18n,
+        i18n: i18n,
+        t: t
+    };
+}));
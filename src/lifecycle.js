@@ -0,0 +1,103 @@
+// Page Lifecycle Monitor
+// Tracks the page through the Page Lifecycle states (active, passive, hidden,
+// frozen, terminated) plus connectivity, using pagehide/pageshow instead of
+// unload so the page stays eligible for the back/forward cache.
+// Other sections subscribe to react, e.g. to stop animating while hidden:
+//   pageLifecycle.subscribe(change => { if (change.type === 'visibility') ... })
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    function createLifecycleMonitor() {
+        const listeners = [];
+        let state = currentState();
+        let online = navigator.onLine;
+        let hiddenSince = document.hidden ? performance.now() : null;
+        let hiddenTotal = 0;
+
+        function currentState() {
+            if (document.visibilityState === 'hidden') return 'hidden';
+            return document.hasFocus() ? 'active' : 'passive';
+        }
+
+        function notify(change) {
+            listeners.forEach(listener => listener(change));
+        }
+
+        function setState(nextState, reason) {
+            if (nextState === state) return;
+            const previousState = state;
+            state = nextState;
+
+            if (nextState === 'hidden' && hiddenSince === null) {
+                hiddenSince = performance.now();
+            } else if (['active', 'passive'].includes(nextState) && hiddenSince !== null) {
+                hiddenTotal += performance.now() - hiddenSince;
+                hiddenSince = null;
+            }
+
+            notify({ type: 'state', state: nextState, previousState: previousState, reason: reason });
+        }
+
+        document.addEventListener('visibilitychange', function() {
+            notify({ type: 'visibility', hidden: document.hidden });
+            setState(currentState(), 'visibilitychange');
+        });
+
+        window.addEventListener('focus', () => setState(currentState(), 'focus'));
+        window.addEventListener('blur', () => setState(currentState(), 'blur'));
+
+        // Chromium only: the tab was frozen to save resources, then brought back
+        document.addEventListener('freeze', () => setState('frozen', 'freeze'));
+        document.addEventListener('resume', () => setState(currentState(), 'resume'));
+
+        window.addEventListener('pagehide', function(e) {
+            // persisted: going into the back/forward cache rather than being discarded
+            setState(e.persisted ? 'frozen' : 'terminated', 'pagehide');
+        });
+
+        window.addEventListener('pageshow', function(e) {
+            notify({ type: 'pageshow', persisted: e.persisted });
+            setState(currentState(), 'pageshow');
+        });
+
+        function setOnline(value) {
+            online = value;
+            notify({ type: 'network', online: value });
+        }
+
+        window.addEventListener('online', () => setOnline(true));
+        window.addEventListener('offline', () => setOnline(false));
+
+        function subscribe(listener) {
+            listeners.push(listener);
+            return function unsubscribe() {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+
+        return {
+            subscribe: subscribe,
+            getState: () => state,
+            isHidden: () => state === 'hidden' || state === 'frozen',
+            isOnline: () => online,
+            // Milliseconds since navigation, and how much of that the page spent hidden
+            getTimes: function() {
+                const now = performance.now();
+                const hidden = hiddenTotal + (hiddenSince !== null ? now - hiddenSince : 0);
+                return { onPage: now, hidden: hidden };
+            }
+        };
+    }
+
+    const pageLifecycle = createLifecycleMonitor();
+
+    return {
+        createLifecycleMonitor: createLifecycleMonitor,
+        pageLifecycle: pageLifecycle
+    };
+}));
@@ -0,0 +1,376 @@
+// List Manager
+// Keeps the items of a <ul> in a model persisted to localStorage and renders
+// it. Items can be edited inline (double-click or Enter/F2), reordered with
+// drag-and-drop or Alt+Arrow keys, and deleted with an "Undo" toast instead of
+// a blocking confirm(). All per-item events are delegated to the list.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./dom-utils'), require('./i18n'), require('./toast'),
+            require('./event-log')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ onAbort, listenerBinder, t, showToast, eventLog }) {
+    function createListManager(listElement, options = {}) {
+        const on = listenerBinder(options.signal);
+        const storageKey = options.storageKey || `list:${listElement.id}`;
+        const animationDuration = 300;
+        let items = [];
+        let nextId = 1;
+        let draggedId = null;
+        const timers = new Set();
+
+        // setTimeout that is cancelled when the list is torn down
+        function later(fn, delay) {
+            const timer = setTimeout(function() {
+                timers.delete(timer);
+                fn();
+            }, delay);
+            timers.add(timer);
+        }
+
+        function notify(action, detail) {
+            if (options.onChange) options.onChange(action, detail);
+        }
+
+        // Seed from storage, falling back to the items already in the markup
+        function load() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(storageKey));
+                if (stored && Array.isArray(stored.items)) {
+                    items = stored.items;
+                    nextId = stored.nextId || items.length + 1;
+                    return;
+                }
+            } catch (err) {
+                // Corrupt or unavailable storage - use the markup instead
+            }
+            items = Array.from(listElement.children).map(li => ({
+                id: nextId++,
+                text: li.firstChild ? li.firstChild.textContent.trim() : li.textContent.trim()
+            }));
+        }
+
+        function save() {
+            try {
+                localStorage.setItem(storageKey, JSON.stringify({ items: items, nextId: nextId }));
+            } catch (err) {
+                eventLog.log('list', t('log.messages.list.saveFailed', { error: err.message }), { severity: 'warning' });
+            }
+        }
+
+        function findIndex(id) {
+            return items.findIndex(item => item.id === id);
+        }
+
+        function getItemElement(id) {
+            return listElement.querySelector(`li[data-id="${id}"]`);
+        }
+
+        function createItemElement(item) {
+            const li = document.createElement('li');
+            li.dataset.id = item.id;
+            li.tabIndex = 0;
+            li.draggable = true;
+            li.setAttribute('aria-roledescription', 'sortable item');
+
+            const handle = document.createElement('span');
+            handle.className = 'drag-handle';
+            handle.setAttribute('aria-hidden', 'true');
+            handle.textContent = '⠿';
+
+            const label = document.createElement('span');
+            label.className = 'item-label';
+            label.textContent = item.text;
+            label.title = t('list.editHint');
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-item';
+            deleteBtn.textContent = '❌';
+            deleteBtn.setAttribute('aria-label', t('list.delete', { text: item.text }));
+
+            li.append(handle, label, deleteBtn);
+            return li;
+        }
+
+        function render(focusId) {
+            listElement.replaceChildren(...items.map(createItemElement));
+            if (focusId !== undefined) {
+                const li = getItemElement(focusId);
+                if (li) li.focus();
+            }
+        }
+
+        // Persist, re-render and keep focus on the item being worked with
+        function commit(focusId) {
+            save();
+            render(focusId);
+        }
+
+        function animateIn(li) {
+            li.style.opacity = '0';
+            li.style.transform = 'translateX(-20px)';
+            later(() => {
+                li.style.transition = 'all 0.3s ease';
+                li.style.opacity = '1';
+                li.style.transform = 'translateX(0)';
+            }, 10);
+        }
+
+        function animateOut(li, transform) {
+            li.style.transition = 'all 0.3s ease';
+            li.style.opacity = '0';
+            li.style.transform = transform;
+        }
+
+        // Offer to bring back what a destructive change took away. removed holds
+        // { item, index } in list order; undoing puts just those items back where
+        // they were, so changes made since (adds, renames, moves) are kept.
+        function offerUndo(message, removed) {
+            showToast(message, {
+                action: {
+                    label: t('list.undo'),
+                    onClick: function() {
+                        if (options.signal && options.signal.aborted) return;
+                        removed.forEach(({ item, index }) => {
+                            if (findIndex(item.id) === -1) items.splice(Math.min(index, items.length), 0, item);
+                        });
+                        commit();
+                        notify('undo', t('log.messages.list.undone', { action: message }));
+                    }
+                }
+            });
+        }
+
+        function add(text) {
+            const item = { id: nextId++, text: text || t('list.newItem', { number: items.length + 1 }) };
+            items.push(item);
+            save();
+            const li = createItemElement(item);
+            listElement.appendChild(li);
+            animateIn(li);
+            notify('add', t('log.messages.list.added', { text: item.text }));
+            return item;
+        }
+
+        function remove(id, transform = 'translateX(20px)') {
+            const index = findIndex(id);
+            if (index === -1) return;
+
+            const [removed] = items.splice(index, 1);
+            save();
+
+            const li = getItemElement(id);
+            if (li) {
+                animateOut(li, transform);
+                later(() => render(), animationDuration);
+            }
+
+            // Move focus to a neighbour so keyboard users don't lose their place
+            const neighbour = items[index] || items[index - 1];
+            if (neighbour) {
+                later(() => {
+                    const next = getItemElement(neighbour.id);
+                    if (next) next.focus();
+                }, animationDuration);
+            }
+
+            notify('remove', t('log.messages.list.removed', { text: removed.text }));
+            offerUndo(t('list.deleted', { text: removed.text }), [{ item: removed, index: index }]);
+        }
+
+        function clear() {
+            if (items.length === 0) return;
+
+            const removed = items.map((item, index) => ({ item: item, index: index }));
+            const count = items.length;
+            items = [];
+            save();
+
+            Array.from(listElement.children).forEach((li, index) => {
+                later(() => animateOut(li, 'scale(0.8)'), index * 50);
+            });
+            later(() => render(), count * 50 + animationDuration);
+
+            notify('clear', t('list.cleared', { count: count }));
+            offerUndo(t('list.cleared', { count: count }), removed);
+        }
+
+        function move(id, toIndex) {
+            const from = findIndex(id);
+            if (from === -1 || toIndex < 0 || toIndex >= items.length || toIndex === from) return;
+            const [item] = items.splice(from, 1);
+            items.splice(toIndex, 0, item);
+            commit(id);
+            notify('move', t('log.messages.list.moved', { text: item.text, position: toIndex + 1 }));
+        }
+
+        function rename(id, text) {
+            const item = items[findIndex(id)];
+            const trimmed = text.trim();
+            if (!item || trimmed === '' || trimmed === item.text) {
+                render(id);
+                return;
+            }
+            const previous = item.text;
+            item.text = trimmed;
+            commit(id);
+            notify('edit', t('log.messages.list.renamed', { previous: previous, text: trimmed }));
+        }
+
+        // Swap the label for a text box; Enter saves, Escape cancels
+        function startEditing(li) {
+            const id = Number(li.dataset.id);
+            const label = li.querySelector('.item-label');
+            if (!label) return;
+
+            const editor = document.createElement('input');
+            editor.type = 'text';
+            editor.className = 'item-editor';
+            editor.value = items[findIndex(id)].text;
+            editor.setAttribute('aria-label', t('list.editLabel'));
+            li.draggable = false;
+            label.replaceWith(editor);
+            editor.focus();
+            editor.select();
+
+            let finished = false;
+            function finish(saveChanges) {
+                if (finished) return;
+                finished = true;
+                if (saveChanges) {
+                    rename(id, editor.value);
+                } else {
+                    render(id);
+                }
+            }
+
+            on(editor, 'keydown', function(e) {
+                e.stopPropagation();
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    finish(true);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(false);
+                }
+            });
+            on(editor, 'blur', () => finish(true));
+        }
+
+        // Delegated handlers for every item, current and future
+        on(listElement, 'click', function(e) {
+            const deleteBtn = e.target.closest('.delete-item');
+            if (deleteBtn) {
+                remove(Number(deleteBtn.closest('li').dataset.id));
+            }
+        });
+
+        on(listElement, 'dblclick', function(e) {
+            const label = e.target.closest('.item-label');
+            if (label) startEditing(label.closest('li'));
+        });
+
+        on(listElement, 'keydown', function(e) {
+            const li = e.target;
+            if (li.tagName !== 'LI' || li.parentElement !== listElement) return;
+            const id = Number(li.dataset.id);
+            const index = findIndex(id);
+
+            if (e.altKey && e.key === 'ArrowUp') {
+                move(id, index - 1);
+            } else if (e.altKey && e.key === 'ArrowDown') {
+                move(id, index + 1);
+            } else if (e.key === 'ArrowUp' && li.previousElementSibling) {
+                li.previousElementSibling.focus();
+            } else if (e.key === 'ArrowDown' && li.nextElementSibling) {
+                li.nextElementSibling.focus();
+            } else if (e.key === 'Enter' || e.key === 'F2') {
+                startEditing(li);
+            } else if (e.key === 'Delete') {
+                remove(id);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+
+        // Drag-and-drop reordering
+        on(listElement, 'dragstart', function(e) {
+            const li = e.target.closest('li');
+            if (!li) return;
+            draggedId = Number(li.dataset.id);
+            li.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(draggedId));
+        });
+
+        on(listElement, 'dragover', function(e) {
+            if (draggedId === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            // Show where the item will land: before the item under the pointer
+            const over = e.target.closest('li');
+            listElement.querySelectorAll('.drop-before, .drop-after').forEach(li => li.classList.remove('drop-before', 'drop-after'));
+            if (over && Number(over.dataset.id) !== draggedId) {
+                const rect = over.getBoundingClientRect();
+                over.classList.add(e.clientY < rect.top + rect.height / 2 ? 'drop-before' : 'drop-after');
+            }
+        });
+
+        on(listElement, 'drop', function(e) {
+            if (draggedId === null) return;
+            e.preventDefault();
+            const over = listElement.querySelector('.drop-before, .drop-after');
+            if (over) {
+                let target = findIndex(Number(over.dataset.id));
+                if (over.classList.contains('drop-after')) target++;
+                if (findIndex(draggedId) < target) target--;
+                move(draggedId, target);
+            }
+        });
+
+        on(listElement, 'dragend', function() {
+            draggedId = null;
+            listElement.querySelectorAll('.dragging, .drop-before, .drop-after')
+                .forEach(li => li.classList.remove('dragging', 'drop-before', 'drop-after'));
+        });
+
+        // Hints and button labels follow the language (item texts are the user's own);
+        // don't re-render under an open editor
+        on(document, 'localechange', function() {
+            if (!listElement.querySelector('.item-editor')) render();
+        });
+
+        onAbort(options.signal, function() {
+            timers.forEach(clearTimeout);
+            timers.clear();
+        });
+
+        load();
+        render();
+
+        return {
+            add: add,
+            remove: remove,
+            removeLast: function() {
+                if (items.length > 0) remove(items[items.length - 1].id);
+            },
+            clear: clear,
+            move: move,
+            rename: rename,
+            getItems: () => items.map(item => Object.assign({}, item)),
+            // Replace every item at once (e.g. to restore an earlier state)
+            setItems: function(nextItems) {
+                items = nextItems.map(item => Object.assign({}, item));
+                nextId = Math.max(nextId, ...items.map(item => item.id + 1));
+                commit();
+            }
+        };
+    }
+
+    return {
+        createListManager: createListManager
+    };
+}));
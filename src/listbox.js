@@ -0,0 +1,314 @@
+// Listbox widget (button + popup listbox)
+//   multiple   - allow several options, shown with checkmarks
+//   filterable - add a text box that filters the options
+// Selected data-value(s) are written to the container's hidden input and
+// reported through a bubbling 'change' CustomEvent on the container.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./dom-utils'), require('./i18n'),
+            require('./focus'), require('./timing')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ onAbort, listenerBinder, i18n, t, createFocusTrap, throttle }) {
+    function createListbox(container, options = {}) {
+        const on = listenerBinder(options.signal);
+        const toggle = container.querySelector('.dropdown-toggle');
+        const menu = container.querySelector('.dropdown-menu');
+        const listbox = menu ? menu.querySelector('.dropdown-options') || menu : null;
+        const hiddenInput = container.querySelector('input[type="hidden"]');
+
+        if (!toggle || !listbox) {
+            throw new Error('createListbox: expected a .dropdown-toggle and a .dropdown-menu inside the container');
+        }
+
+        const label = toggle.querySelector('.dropdown-label') || toggle;
+        const placeholder = label.textContent.trim();
+        // The label shows the selection, so the widget translates the placeholder itself
+        const placeholderKey = label.dataset.i18n;
+        delete label.dataset.i18n;
+        const items = Array.from(listbox.querySelectorAll('.dropdown-item'));
+        const multiple = !!options.multiple;
+        const selected = new Set();
+        let activeItem = null;
+        let filterInput = null;
+        let typeahead = '';
+        let typeaheadTimer = null;
+
+        // Roles and relationships
+        listbox.id = listbox.id || `${toggle.id}-listbox`;
+        listbox.setAttribute('role', 'listbox');
+        listbox.tabIndex = -1;
+        if (multiple) listbox.setAttribute('aria-multiselectable', 'true');
+        toggle.setAttribute('aria-haspopup', 'listbox');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', listbox.id);
+
+        items.forEach((item, index) => {
+            item.id = item.id || `${listbox.id}-option-${index + 1}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+        });
+
+        if (options.filterable) {
+            filterInput = document.createElement('input');
+            filterInput.type = 'text';
+            filterInput.className = 'dropdown-filter';
+            i18n.localizeAttribute(filterInput, 'placeholder', 'dropdown.filterPlaceholder');
+            i18n.localizeAttribute(filterInput, 'aria-label', 'dropdown.filterLabel');
+            filterInput.setAttribute('aria-controls', listbox.id);
+            filterInput.setAttribute('autocomplete', 'off');
+            menu.insertBefore(filterInput, menu.firstChild);
+        }
+
+        // The element that holds focus while the popup is open
+        const focusHost = () => filterInput || listbox;
+
+        const isOpen = () => menu.classList.contains('show');
+        const visibleItems = () => items.filter(item => !item.hidden);
+
+        function setActive(item) {
+            if (activeItem) activeItem.classList.remove('focused');
+            activeItem = item;
+            if (item) {
+                item.classList.add('focused');
+                focusHost().setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView({ block: 'nearest' });
+            } else {
+                focusHost().removeAttribute('aria-activedescendant');
+            }
+        }
+
+        // Open upwards when there isn't room below the toggle
+        function position() {
+            menu.classList.remove('drop-up');
+            const toggleRect = toggle.getBoundingClientRect();
+            const needed = Math.min(menu.scrollHeight, parseInt(getComputedStyle(menu).maxHeight, 10) || menu.scrollHeight);
+            const spaceBelow = window.innerHeight - toggleRect.bottom;
+            const spaceAbove = toggleRect.top;
+            if (spaceBelow < needed && spaceAbove > spaceBelow) {
+                menu.classList.add('drop-up');
+            }
+        }
+
+        function open() {
+            if (isOpen()) return;
+            menu.classList.add('show');
+            toggle.setAttribute('aria-expanded', 'true');
+            position();
+            trap.activate();
+            setActive(items.find(item => selected.has(item)) || visibleItems()[0] || null);
+            container.dispatchEvent(new CustomEvent('listboxtoggle', { bubbles: true, detail: { open: true } }));
+        }
+
+        function close(returnFocus = true) {
+            if (!isOpen()) return;
+            menu.classList.remove('show', 'drop-up');
+            toggle.setAttribute('aria-expanded', 'false');
+            setActive(null);
+            if (filterInput) {
+                filterInput.value = '';
+                applyFilter();
+            }
+            trap.deactivate({ returnFocus: returnFocus });
+            container.dispatchEvent(new CustomEvent('listboxtoggle', { bubbles: true, detail: { open: false } }));
+        }
+
+        function getValues() {
+            return items.filter(item => selected.has(item)).map(item => item.dataset.value);
+        }
+
+        function render() {
+            items.forEach(item => {
+                item.setAttribute('aria-selected', selected.has(item));
+            });
+
+            const labels = items.filter(item => selected.has(item)).map(item => item.textContent.trim());
+            if (labels.length === 0) {
+                label.textContent = placeholderKey ? t(placeholderKey) : placeholder;
+            } else if (multiple && labels.length > 1) {
+                label.textContent = t('dropdown.selectedCount', { count: labels.length });
+            } else {
+                label.textContent = labels[0];
+            }
+
+            if (hiddenInput) hiddenInput.value = getValues().join(',');
+        }
+
+        function emitChange() {
+            const chosen = items.filter(item => selected.has(item));
+            container.dispatchEvent(new CustomEvent('change', {
+                bubbles: true,
+                detail: {
+                    value: multiple ? getValues() : (getValues()[0] || null),
+                    values: getValues(),
+                    labels: chosen.map(item => item.textContent.trim())
+                }
+            }));
+        }
+
+        function choose(item) {
+            if (!item) return;
+            if (multiple) {
+                if (selected.has(item)) {
+                    selected.delete(item);
+                } else {
+                    selected.add(item);
+                }
+            } else {
+                selected.clear();
+                selected.add(item);
+            }
+            render();
+            emitChange();
+            if (!multiple) close();
+        }
+
+        function applyFilter() {
+            const query = filterInput.value.trim().toLowerCase();
+            items.forEach(item => {
+                item.hidden = query !== '' && !item.textContent.toLowerCase().includes(query);
+            });
+            const visible = visibleItems();
+            if (!visible.includes(activeItem)) setActive(visible[0] || null);
+        }
+
+        function moveActive(offset) {
+            const visible = visibleItems();
+            if (visible.length === 0) return;
+            const index = visible.indexOf(activeItem);
+            const next = index === -1 ? 0 : Math.min(visible.length - 1, Math.max(0, index + offset));
+            setActive(visible[next]);
+        }
+
+        // Jump to the next option starting with the typed characters
+        function handleTypeahead(char) {
+            clearTimeout(typeaheadTimer);
+            typeahead += char.toLowerCase();
+            typeaheadTimer = setTimeout(() => {
+                typeahead = '';
+            }, 500);
+
+            const visible = visibleItems();
+            const start = Math.max(0, visible.indexOf(activeItem));
+            const ordered = visible.slice(start + (typeahead.length === 1 ? 1 : 0)).concat(visible.slice(0, start + 1));
+            const match = ordered.find(item => item.textContent.trim().toLowerCase().startsWith(typeahead));
+            if (match) setActive(match);
+        }
+
+        function handleKeydown(e) {
+            switch (e.key) {
+                case 'ArrowDown':
+                    moveActive(1);
+                    break;
+                case 'ArrowUp':
+                    moveActive(-1);
+                    break;
+                case 'Home':
+                    if (e.target === filterInput) return;
+                    setActive(visibleItems()[0] || null);
+                    break;
+                case 'End':
+                    if (e.target === filterInput) return;
+                    setActive(visibleItems()[visibleItems().length - 1] || null);
+                    break;
+                case 'Enter':
+                    choose(activeItem);
+                    break;
+                case ' ':
+                    // Space types into the filter box; elsewhere it selects
+                    if (e.target === filterInput) return;
+                    choose(activeItem);
+                    break;
+                case 'Escape':
+                    close();
+                    break;
+                default:
+                    if (e.target !== filterInput && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                        handleTypeahead(e.key);
+                        break;
+                    }
+                    return;
+            }
+            e.preventDefault();
+        }
+
+        on(toggle, 'click', function() {
+            if (isOpen()) {
+                close();
+            } else {
+                open();
+            }
+        });
+
+        on(toggle, 'keydown', function(e) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                open();
+                if (e.key === 'ArrowUp') setActive(visibleItems()[visibleItems().length - 1] || null);
+            }
+        });
+
+        // Tab stays inside the open menu (filter box and list); Escape or a click outside closes it
+        const trap = createFocusTrap(menu, {
+            initialFocus: focusHost,
+            allowOutsideClick: true
+        });
+
+        on(listbox, 'keydown', handleKeydown);
+
+        if (filterInput) {
+            on(filterInput, 'keydown', handleKeydown);
+            on(filterInput, 'input', applyFilter);
+            // Keep the native change event of the text box out of the widget's 'change'
+            on(filterInput, 'change', e => e.stopPropagation());
+        }
+
+        // Handle option clicks through delegation on the listbox
+        on(listbox, 'click', function(e) {
+            const item = e.target.closest('.dropdown-item');
+            if (item && listbox.contains(item)) {
+                setActive(item);
+                choose(item);
+            }
+        });
+
+        // Close dropdown when clicking outside
+        on(document, 'click', function(e) {
+            if (!container.contains(e.target)) {
+                close(false);
+            }
+        });
+
+        on(window, 'resize', throttle(() => isOpen() && position(), 100));
+        on(window, 'scroll', throttle(() => isOpen() && position(), 100));
+
+        // Options are translated in the markup; pick up their new text
+        on(document, 'localechange', render);
+
+        onAbort(options.signal, function() {
+            close(false);
+            if (filterInput) filterInput.remove();
+            if (placeholderKey) label.dataset.i18n = placeholderKey;
+        });
+
+        return {
+            open: open,
+            close: close,
+            getValues: getValues,
+            getLabels: () => items.filter(item => selected.has(item)).map(item => item.textContent.trim()),
+            setValues: function(values) {
+                selected.clear();
+                items.filter(item => values.includes(item.dataset.value))
+                    .slice(0, multiple ? undefined : 1)
+                    .forEach(item => selected.add(item));
+                render();
+                emitChange();
+            }
+        };
+    }
+
+    return {
+        createListbox: createListbox
+    };
+}));
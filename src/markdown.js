@@ -0,0 +1,103 @@
+// Renders the Markdown subset the message editor offers as DOM nodes, never
+// as an HTML string, so whatever was typed can only ever show up as text:
+//   # to ### headings, paragraphs (a single newline is a line break),
+//   "- " / "* " / "1. " lists, "> " quotes, **bold**, *italic*, `code` and
+//   [text](https://...) links (http, https and mailto only).
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    // Underscores only emphasise whole words, so snake_case_names are left alone.
+    const MARKDOWN_INLINE = /`([^`]+)`|\*\*(\S(?:.*?\S)?)\*\*|(?<!\w)__(\S(?:.*?\S)?)__(?!\w)|\*(\S(?:.*?\S)?)\*|(?<!\w)_(\S(?:.*?\S)?)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+    const MARKDOWN_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+    function renderMarkdown(text) {
+        const fragment = document.createDocumentFragment();
+        let block = null;      // the paragraph, list or quote that following lines extend
+
+        text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            const heading = line.match(/^(#{1,3})\s+(.*)$/);
+            const listItem = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+            const quote = line.match(/^>\s?(.*)$/);
+
+            if (line.trim() === '') {
+                block = null;
+            } else if (heading) {
+                // Kept below the page's own heading levels
+                const element = document.createElement(`h${heading[1].length + 3}`);
+                appendInlineMarkdown(element, heading[2]);
+                fragment.append(element);
+                block = null;
+            } else if (listItem) {
+                const type = listItem[1] ? 'ul' : 'ol';
+                if (!block || block.localName !== type) {
+                    block = document.createElement(type);
+                    fragment.append(block);
+                }
+                const item = document.createElement('li');
+                appendInlineMarkdown(item, listItem[2]);
+                block.append(item);
+            } else {
+                const type = quote ? 'blockquote' : 'p';
+                if (block && block.localName === type) {
+                    block.append(document.createElement('br'));
+                } else {
+                    block = document.createElement(type);
+                    fragment.append(block);
+                }
+                appendInlineMarkdown(block, quote ? quote[1] : line);
+            }
+        });
+        return fragment;
+    }
+
+    function appendInlineMarkdown(parent, text) {
+        let position = 0;
+        for (const match of text.matchAll(MARKDOWN_INLINE)) {
+            const [source, code, strong, altStrong, em, altEm, label, href] = match;
+            parent.append(text.slice(position, match.index));
+            position = match.index + source.length;
+
+            if (code !== undefined) {
+                const element = document.createElement('code');
+                element.textContent = code;
+                parent.append(element);
+            } else if (label !== undefined) {
+                const url = getSafeLinkUrl(href);
+                if (!url) {
+                    parent.append(source);
+                    continue;
+                }
+                const link = document.createElement('a');
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                appendInlineMarkdown(link, label);
+                parent.append(link);
+            } else {
+                const bold = strong !== undefined || altStrong !== undefined;
+                const element = document.createElement(bold ? 'strong' : 'em');
+                appendInlineMarkdown(element, [strong, altStrong, em, altEm].find(part => part !== undefined));
+                parent.append(element);
+            }
+        }
+        parent.append(text.slice(position));
+    }
+
+    // Absolute URLs with a harmless protocol; javascript: and friends are refused
+    function getSafeLinkUrl(href) {
+        try {
+            const url = new URL(href);
+            return MARKDOWN_LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    return {
+        renderMarkdown: renderMarkdown
+    };
+}));
@@ -0,0 +1,239 @@
+// Message Editor
+// Turns a <textarea> into a small editor: a live remaining-characters counter,
+// a length limit that holds for typing, paste, drop, autocomplete and IME
+// input, optional auto-growing height and a Markdown preview. Lengths count
+// characters (code points), like the validation engine.
+//   maxLength     - characters allowed (required)
+//   mode          - 'hard' refuses or cuts short whatever doesn't fit; 'soft'
+//                   lets it in and flags the counter as over the limit
+//   counter       - element or element ID that shows the characters left
+//   warnAt        - characters left from which the counter warns (default 10%)
+//   autoGrow      - grow with the content up to maxRows lines, then scroll
+//   preview       - element or element ID that shows the rendered Markdown
+//   previewToggle - button that shows and hides the preview (aria-pressed)
+//   onStateChange - called with (state, previousState) when the counter moves
+//                   between 'ok', 'warning', 'full' and 'over'
+//   onTrim        - called with { attempted, kept } when hard mode cut text short
+// Changes made by script without an 'input' event are picked up by refresh().
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./dom-utils'), require('./i18n'), require('./timing'),
+            require('./markdown'), require('./viewport')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ onAbort, listenerBinder, i18n, debounce, renderMarkdown, viewport }) {
+    const MESSAGE_EDITOR_CONFIG = {
+        mode: 'hard',
+        maxRows: 12,
+        previewDelay: 150
+    };
+    const MESSAGE_EDITOR_MODES = ['hard', 'soft'];
+
+    function createMessageEditor(textarea, options = {}) {
+        const on = listenerBinder(options.signal);
+        const config = Object.assign({}, MESSAGE_EDITOR_CONFIG, options);
+        if (!(config.maxLength > 0)) {
+            throw new Error('createMessageEditor: maxLength must be a positive number');
+        }
+        const resolve = ref => typeof ref === 'string' ? document.getElementById(ref) : (ref || null);
+        const counter = resolve(config.counter);
+        const preview = resolve(config.preview);
+        const previewToggle = resolve(config.previewToggle);
+        const warnAt = config.warnAt !== undefined ? config.warnAt : Math.ceil(config.maxLength / 10);
+        let mode = null;
+        let state = null;
+        let composing = false;
+        // The value before the current edit, to tell what the edit inserted
+        let accepted = textarea.value;
+        let observedWidth = null;
+
+        function characterCount(value) {
+            return Array.from(value).length;
+        }
+
+        function getRemaining() {
+            return config.maxLength - characterCount(textarea.value);
+        }
+
+        function renderCounter() {
+            const remaining = getRemaining();
+            const nextState = remaining < 0 ? 'over' :
+                remaining === 0 ? 'full' :
+                remaining <= warnAt ? 'warning' : 'ok';
+
+            if (counter) {
+                counter.dataset.state = nextState;
+                i18n.localize(counter, remaining < 0 ? 'editor.over' : 'editor.remaining', { count: Math.abs(remaining) });
+            }
+            // Mid-composition the IME owns the text, so wait for the final length
+            if (nextState !== state && !composing) {
+                const previous = state;
+                state = nextState;
+                if (previous !== null && config.onStateChange) config.onStateChange(state, previous);
+            }
+        }
+
+        // Measure from 'auto' so the box can shrink as well as grow
+        function grow() {
+            if (!config.autoGrow) return;
+            const style = getComputedStyle(textarea);
+            const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+            const chrome = parseFloat(style.paddingTop) + parseFloat(style.paddingBottom) +
+                parseFloat(style.borderTopWidth) + parseFloat(style.borderBottomWidth);
+            const maxHeight = lineHeight * config.maxRows + chrome;
+
+            textarea.style.height = 'auto';
+            const height = textarea.scrollHeight + parseFloat(style.borderTopWidth) + parseFloat(style.borderBottomWidth);
+            textarea.style.height = `${Math.min(height, maxHeight)}px`;
+            textarea.style.overflowY = height > maxHeight ? 'auto' : 'hidden';
+        }
+
+        function renderPreview() {
+            if (!preview || preview.hidden) return;
+            const content = renderMarkdown(textarea.value);
+            if (content.childNodes.length === 0) {
+                i18n.localize(preview, 'editor.previewEmpty');
+                return;
+            }
+            // Drop the placeholder's i18n key first, or a language switch would overwrite the preview
+            i18n.localize(preview, null);
+            preview.append(content);
+        }
+
+        const schedulePreview = debounce(renderPreview, config.previewDelay);
+
+        // Hard mode: keep what fits of the inserted text and put the caret after it.
+        // The insertion is whatever differs between the value before and after the edit.
+        function enforceLimit() {
+            const value = textarea.value;
+            if (mode !== 'hard' || characterCount(value) <= config.maxLength) {
+                accepted = value;
+                return;
+            }
+
+            let start = 0;
+            while (start < accepted.length && start < value.length && accepted[start] === value[start]) start++;
+            let end = 0;
+            while (end < accepted.length - start && end < value.length - start &&
+                accepted[accepted.length - 1 - end] === value[value.length - 1 - end]) end++;
+            // Never split a surrogate pair (emoji, rare CJK)
+            if (start > 0 && /[\uD800-\uDBFF]/.test(value[start - 1])) start--;
+            if (end > 0 && /[\uDC00-\uDFFF]/.test(value[value.length - end])) end--;
+
+            const inserted = Array.from(value.slice(start, value.length - end));
+            if (inserted.length === 0) {
+                // Only deleted (e.g. text left over from soft mode); nothing to cut
+                accepted = value;
+                return;
+            }
+            const room = Math.max(0, config.maxLength - (characterCount(value) - inserted.length));
+            const kept = inserted.slice(0, room).join('');
+
+            textarea.value = value.slice(0, start) + kept + value.slice(value.length - end);
+            textarea.setSelectionRange(start + kept.length, start + kept.length);
+            accepted = textarea.value;
+            if (config.onTrim) config.onTrim({ attempted: inserted.length, kept: room });
+        }
+
+        function refresh() {
+            accepted = textarea.value;
+            renderCounter();
+            grow();
+            renderPreview();
+        }
+
+        function setMode(nextMode) {
+            if (!MESSAGE_EDITOR_MODES.includes(nextMode)) {
+                throw new Error(`createMessageEditor: unknown mode "${nextMode}" (expected ${MESSAGE_EDITOR_MODES.join(' or ')})`);
+            }
+            mode = nextMode;
+        }
+
+        function togglePreview(force) {
+            if (!preview) return false;
+            const visible = force === undefined ? preview.hidden : force;
+            preview.hidden = !visible;
+            if (previewToggle) previewToggle.setAttribute('aria-pressed', String(visible));
+            renderPreview();
+            return visible;
+        }
+
+        // Text that can't fit is refused before it reaches the field. IME
+        // composition can't be cancelled, so it is trimmed once it ends instead,
+        // as is anything (autofill, drop, spelling fixes) that overshoots.
+        on(textarea, 'beforeinput', function(e) {
+            if (composing) return;
+            accepted = textarea.value;
+            if (mode !== 'hard' || !e.cancelable || !e.inputType.startsWith('insert') ||
+                e.inputType === 'insertReplacementText') return;
+
+            const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+            if (getRemaining() + characterCount(selected) <= 0) {
+                e.preventDefault();
+                renderCounter();
+            }
+        });
+
+        on(textarea, 'input', function(e) {
+            if (!composing && !e.isComposing) enforceLimit();
+            renderCounter();
+            grow();
+            schedulePreview();
+        });
+
+        on(textarea, 'compositionstart', function() {
+            composing = true;
+        });
+
+        on(textarea, 'compositionend', function() {
+            composing = false;
+            enforceLimit();
+            renderCounter();
+            grow();
+            schedulePreview();
+        });
+
+        if (previewToggle) {
+            on(previewToggle, 'click', () => togglePreview());
+        }
+
+        // The reset event fires before the form clears its fields
+        if (textarea.form) {
+            on(textarea.form, 'reset', () => setTimeout(refresh));
+        }
+
+        // Re-measure when the width changes (line wrapping moves), not on our own height changes
+        if (config.autoGrow) {
+            textarea.classList.add('auto-grow');
+            if (window.ResizeObserver) {
+                onAbort(options.signal, viewport.observe(textarea, function(size) {
+                    if (size.width === observedWidth) return;
+                    observedWidth = size.width;
+                    grow();
+                }));
+            }
+            onAbort(options.signal, () => {
+                textarea.classList.remove('auto-grow');
+                textarea.style.height = '';
+                textarea.style.overflowY = '';
+            });
+        }
+
+        setMode(config.mode);
+        refresh();
+
+        return {
+            refresh: refresh,
+            getRemaining: getRemaining,
+            getState: () => state,
+            getMode: () => mode,
+            setMode: setMode,
+            togglePreview: togglePreview
+        };
+    }
+
+    return {
+        createMessageEditor: createMessageEditor
+    };
+}));
@@ -0,0 +1,80 @@
+// Mock Server (fetch interception)
+// A stand-in backend so the whole submission flow works without a server.
+// Requests to registered routes are answered locally; everything else goes
+// to the real fetch. Add ?mockFailureRate=0.5 to the URL to see retries.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    function installMockServer(routes, options = {}) {
+        const realFetch = window.fetch.bind(window);
+        const latency = options.latency !== undefined ? options.latency : 600;
+        const failureRate = options.failureRate || 0;
+
+        function jsonResponse(status, body) {
+            return new Response(JSON.stringify(body), {
+                status: status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        function readBody(request) {
+            const type = request.headers.get('Content-Type') || '';
+            if (type.includes('application/json')) {
+                return request.json();
+            }
+            if (type.includes('multipart/form-data')) {
+                return request.formData().then(formData => Object.fromEntries(formData));
+            }
+            return request.text();
+        }
+
+        window.fetch = function(input, init) {
+            const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+            const method = ((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+            const handler = routes[`${method} ${url.pathname}`];
+
+            if (!handler) {
+                return realFetch(input, init);
+            }
+
+            const request = new Request(url.href, init);
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    if (!navigator.onLine) {
+                        reject(new TypeError('Failed to fetch'));
+                        return;
+                    }
+                    if (Math.random() < failureRate) {
+                        resolve(jsonResponse(503, { message: 'Mock server is temporarily unavailable' }));
+                        return;
+                    }
+                    readBody(request)
+                        .then(body => handler(body, request))
+                        .then(result => resolve(jsonResponse(result.status, result.body)))
+                        .catch(reject);
+                }, latency);
+
+                // Honour AbortController timeouts like the real fetch does
+                if (request.signal) {
+                    request.signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(new DOMException('The operation was aborted.', 'AbortError'));
+                    });
+                }
+            });
+        };
+
+        return function uninstall() {
+            window.fetch = realFetch;
+        };
+    }
+
+    return {
+        installMockServer: installMockServer
+    };
+}));
@@ -0,0 +1,114 @@
+// Password Strength
+// Estimates how guessable a password is, entirely in the page: the bits of
+// entropy its character classes allow, minus the characters that follow a
+// pattern (repeats like "aaa", runs like "abc"/"321", keyboard rows, parts of
+// the user's own name or email). Common passwords score 0 whatever their length.
+// Returns { score: 0-4, bits, warning }; below "strong", warning names the
+// weakness found first: 'common', 'personal', 'sequence', 'repeat' or 'variety'.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    const PASSWORD_CONFIG = {
+        minLength: 8,
+        minScore: 2,                     // "fair" - anything weaker is rejected
+        scoreBits: [28, 36, 60, 80]      // entropy needed for scores 1 to 4
+    };
+
+    // A short local list of the passwords attackers try first
+    const COMMON_PASSWORDS = new Set([
+        'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'qwerty', 'qwertyuiop',
+        'azerty', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '123456', '1234567', '12345678',
+        '123456789', '1234567890', '111111', '000000', '123123', '654321', '666666',
+        '121212', '112233', 'abc123', 'abcdef', 'abcd1234', 'iloveyou', 'letmein',
+        'welcome', 'admin', 'administrator', 'root', 'login', 'master', 'monkey',
+        'dragon', 'football', 'baseball', 'soccer', 'hockey', 'sunshine', 'princess',
+        'shadow', 'superman', 'batman', 'trustno1', 'starwars', 'pokemon', 'whatever',
+        'freedom', 'hello', 'charlie', 'michael', 'jennifer', 'jordan', 'hunter',
+        'ashley', 'bailey', 'buster', 'summer', 'winter', 'flower', 'secret',
+        'cheese', 'computer', 'internet', 'mustang', 'access', 'changeme', 'default',
+        'guest', 'test', 'test123', 'qazwsx', '1q2w3e4r', '1qaz2wsx', 'zaq12wsx',
+        'qwe123', 'q1w2e3r4', 'killer', 'pepper', 'ginger', 'cookie', 'chocolate',
+        'liverpool', 'chelsea', 'arsenal', 'maggie', 'lovely', 'loveme', 'mypassword',
+        'contraseña', 'motdepasse', 'passwort', 'senha'
+    ]);
+
+    const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm', '1234567890', 'azertyuiop', 'qwertzuiop'];
+
+    function estimatePasswordStrength(password, personalInputs = []) {
+        const chars = Array.from(password);
+        if (chars.length === 0) return { score: 0, bits: 0, warning: null };
+
+        const lower = password.toLocaleLowerCase();
+        // "Password1!" is still "password"
+        if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(lower.replace(/[\d\W_]+$/u, ''))) {
+            return { score: 0, bits: 0, warning: 'common' };
+        }
+
+        let pool = 0;
+        if (/\p{Ll}/u.test(password)) pool += 26;
+        if (/\p{Lu}/u.test(password)) pool += 26;
+        if (/\p{N}/u.test(password)) pool += 10;
+        if (/[^\p{L}\p{N}]/u.test(password)) pool += 33;
+        if (/[^\u0000-\u007f]/.test(password)) pool += 100;
+
+        // Mark the characters that a guesser gets (almost) for free
+        const predictable = new Array(chars.length).fill(false);
+        const found = new Set();
+        const lowerChars = Array.from(lower);
+
+        function markSubstring(text, reason) {
+            let index = lower.indexOf(text);
+            while (index !== -1) {
+                // indexOf counts UTF-16 units; map back to character positions
+                const start = Array.from(lower.slice(0, index)).length;
+                for (let offset = 0; offset < Array.from(text).length; offset++) {
+                    predictable[start + offset] = true;
+                }
+                found.add(reason);
+                index = lower.indexOf(text, index + 1);
+            }
+        }
+
+        personalInputs
+            .flatMap(input => (input || '').toLocaleLowerCase().split(/[\s@._-]+/))
+            .filter(part => Array.from(part).length >= 3)
+            .forEach(part => markSubstring(part, 'personal'));
+
+        KEYBOARD_ROWS.forEach(row => {
+            for (let start = 0; start + 4 <= row.length; start++) {
+                markSubstring(row.slice(start, start + 4), 'sequence');
+            }
+        });
+
+        for (let i = 2; i < chars.length; i++) {
+            const step = lowerChars[i].codePointAt(0) - lowerChars[i - 1].codePointAt(0);
+            const previousStep = lowerChars[i - 1].codePointAt(0) - lowerChars[i - 2].codePointAt(0);
+            // From the third character of "aaa", "abc" or "987" on (double letters are normal)
+            if (Math.abs(step) <= 1 && step === previousStep) {
+                predictable[i] = predictable[i - 1] = true;
+                found.add(step === 0 ? 'repeat' : 'sequence');
+            }
+        }
+
+        const guessable = predictable.filter(Boolean).length;
+        const bits = Math.round((chars.length - guessable) * Math.log2(pool) + guessable);
+        const score = PASSWORD_CONFIG.scoreBits.filter(threshold => bits >= threshold).length;
+
+        let warning = null;
+        if (score < 3) {
+            warning = ['personal', 'sequence', 'repeat'].find(reason => found.has(reason)) ||
+                (pool <= 36 ? 'variety' : null);
+        }
+
+        return { score: score, bits: bits, warning: warning };
+    }
+
+    return {
+        PASSWORD_CONFIG: PASSWORD_CONFIG,
+        estimatePasswordStrength: estimatePasswordStrength
+    };
+}));
@@ -0,0 +1,59 @@
+// Phone Number Formatting
+// Formats as the user types, keeping only digits and a leading "+": national
+// numbers as (555) 123-4567. The length of a country code can't be told from
+// the digits, so international (+...) and longer numbers keep the user's own
+// grouping, with any run of separators turned into one space.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    const PHONE_CONFIG = {
+        minDigits: 7,
+        maxDigits: 15                    // the E.164 maximum
+    };
+
+    function formatPhoneNumber(value) {
+        const international = value.trim().startsWith('+');
+        const digits = value.replace(/\D/g, '').slice(0, PHONE_CONFIG.maxDigits);
+
+        if (international || digits.length > 10) {
+            // Digits past the limit are dropped, along with the separators after them
+            let kept = 0;
+            const grouped = Array.from(value.replace(/^\D+/, '').replace(/\D+/g, ' '))
+                .filter(char => char === ' ' ? kept < PHONE_CONFIG.maxDigits : kept++ < PHONE_CONFIG.maxDigits)
+                .join('');
+            return `${international ? '+' : ''}${grouped}`;
+        }
+        if (digits.length > 6) return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+        if (digits.length > 3) return `(${digits.slice(0, 3)}) ${digits.slice(3)}`;
+        return digits;
+    }
+
+    // Reformat an input's value in place, keeping the caret after the same digit
+    function applyPhoneFormat(input) {
+        const caret = input.selectionStart === null ? input.value.length : input.selectionStart;
+        const digitsBeforeCaret = input.value.slice(0, caret).replace(/\D/g, '').length;
+        const formatted = formatPhoneNumber(input.value);
+        if (formatted === input.value) return;
+
+        input.value = formatted;
+        let position = formatted.startsWith('+') ? 1 : 0;
+        for (let seen = 0; position < formatted.length && seen < digitsBeforeCaret; position++) {
+            if (/\d/.test(formatted[position])) seen++;
+        }
+        // Skip past a separator the caret would otherwise sit in front of
+        while (position < formatted.length && /[\s)-]/.test(formatted[position]) && digitsBeforeCaret > 0) {
+            position++;
+        }
+        if (document.activeElement === input) input.setSelectionRange(position, position);
+    }
+
+    return {
+        PHONE_CONFIG: PHONE_CONFIG,
+        formatPhoneNumber: formatPhoneNumber,
+        applyPhoneFormat: applyPhoneFormat
+    };
+}));
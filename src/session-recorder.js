@@ -0,0 +1,315 @@
+// Session Recorder & Replay
+// Captures the events the page listens for into a timestamped JSON trace and
+// replays them by dispatching synthetic events at the same targets, so the
+// page's own handlers run again and rebuild the same state.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    const SESSION_EVENT_TYPES = {
+        mouse: ['mouseenter', 'mouseleave', 'mousemove', 'mousedown', 'mouseup', 'click', 'dblclick'],
+        pointer: ['pointerenter', 'pointerleave', 'pointerdown', 'pointermove', 'pointerup', 'pointercancel'],
+        keyboard: ['keydown', 'keyup'],
+        focus: ['focus', 'blur'],
+        form: ['input', 'change', 'submit'],
+        window: ['scroll', 'resize']
+    };
+
+    const SESSION_TRACE_VERSION = 1;
+
+    // Build a selector that finds the same element again on replay
+    function getElementSelector(element) {
+        if (element === window) return 'window';
+        if (element === document) return 'document';
+        if (element.id) return `#${CSS.escape(element.id)}`;
+
+        const parts = [];
+        let node = element;
+        while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+            if (node.id) {
+                parts.unshift(`#${CSS.escape(node.id)}`);
+                break;
+            }
+            let index = 1;
+            let sibling = node;
+            while ((sibling = sibling.previousElementSibling)) {
+                if (sibling.tagName === node.tagName) index++;
+            }
+            parts.unshift(`${node.tagName.toLowerCase()}:nth-of-type(${index})`);
+            node = node.parentElement;
+        }
+        return parts.join(' > ');
+    }
+
+    function resolveSelector(selector) {
+        if (selector === 'window') return window;
+        if (selector === 'document') return document;
+        return document.querySelector(selector);
+    }
+
+    // Password fields stay secret while their text is shown (type="text"), so
+    // they are also recognised by their autocomplete token
+    function isPasswordField(element) {
+        return element.type === 'password' || /\b(new|current)-password\b/.test(element.getAttribute('autocomplete') || '');
+    }
+
+    function createSessionRecorder(options = {}) {
+        const ignoreWithin = options.ignoreWithin || null;   // e.g. the recorder's own controls
+        const moveInterval = options.moveInterval || 30;    // mousemove sampling in ms
+        let events = [];
+        let startedAt = 0;
+        const lastMove = { mousemove: 0, pointermove: 0 };
+        let recording = false;
+
+        function serialise(e) {
+            const props = {};
+            if (e instanceof MouseEvent) {
+                Object.assign(props, {
+                    clientX: e.clientX, clientY: e.clientY,
+                    button: e.button, buttons: e.buttons, detail: e.detail
+                });
+            }
+            if (window.PointerEvent && e instanceof PointerEvent) {
+                Object.assign(props, {
+                    pointerId: e.pointerId, pointerType: e.pointerType, isPrimary: e.isPrimary,
+                    pressure: e.pressure, tiltX: e.tiltX, tiltY: e.tiltY, width: e.width, height: e.height
+                });
+            }
+            if (e instanceof KeyboardEvent) {
+                const secret = e.target.getAttribute && isPasswordField(e.target);
+                Object.assign(props, {
+                    key: secret ? '' : e.key, code: secret ? '' : e.code, location: e.location, repeat: e.repeat
+                });
+            }
+            if (e instanceof MouseEvent || e instanceof KeyboardEvent) {
+                Object.assign(props, {
+                    ctrlKey: e.ctrlKey, shiftKey: e.shiftKey, altKey: e.altKey, metaKey: e.metaKey
+                });
+            }
+            if ((e.type === 'input' || e.type === 'change') && 'value' in e.target) {
+                // Never write passwords into a trace that may be attached to a bug report
+                props.value = isPasswordField(e.target) ? '' : e.target.value;
+                if (e.target.type === 'checkbox' || e.target.type === 'radio') {
+                    props.checked = e.target.checked;
+                }
+            }
+            if (e.type === 'scroll') {
+                Object.assign(props, { scrollX: window.scrollX, scrollY: window.scrollY });
+            }
+            if (e.type === 'resize') {
+                Object.assign(props, { width: window.innerWidth, height: window.innerHeight });
+            }
+            return props;
+        }
+
+        function capture(e) {
+            // Only real user input - replayed (synthetic) events are not re-recorded
+            if (!recording || !e.isTrusted) return;
+
+            const target = e.type === 'resize' ? window : e.target;
+            if (e.type === 'scroll' && target !== document) return;
+            if (target !== window && target !== document && ignoreWithin && ignoreWithin.contains(target)) return;
+
+            const now = performance.now();
+            if (e.type === 'mousemove' || e.type === 'pointermove') {
+                if (now - lastMove[e.type] < moveInterval) return;
+                lastMove[e.type] = now;
+            }
+
+            events.push({
+                t: Math.round(now - startedAt),
+                type: e.type,
+                target: getElementSelector(target),
+                props: serialise(e)
+            });
+
+            if (options.onEvent) options.onEvent(events.length);
+        }
+
+        const allTypes = [].concat(...Object.values(SESSION_EVENT_TYPES));
+
+        function start() {
+            if (recording) return;
+            events = [];
+            startedAt = performance.now();
+            recording = true;
+            // Capture phase sees every event, including ones that don't bubble
+            allTypes.forEach(type => {
+                const target = type === 'resize' ? window : document;
+                target.addEventListener(type, capture, true);
+            });
+        }
+
+        // Stops recording and returns the serialisable trace
+        function stop() {
+            recording = false;
+            allTypes.forEach(type => {
+                const target = type === 'resize' ? window : document;
+                target.removeEventListener(type, capture, true);
+            });
+            return {
+                version: SESSION_TRACE_VERSION,
+                recordedAt: new Date(Date.now() - (performance.now() - startedAt)).toISOString(),
+                url: window.location.href,
+                viewport: { width: window.innerWidth, height: window.innerHeight },
+                events: events.slice()
+            };
+        }
+
+        return {
+            start: start,
+            stop: stop,
+            isRecording: () => recording
+        };
+    }
+
+    function createSessionPlayer(trace, options = {}) {
+        if (!trace || trace.version !== SESSION_TRACE_VERSION || !Array.isArray(trace.events)) {
+            throw new Error('createSessionPlayer: unsupported or malformed session trace');
+        }
+
+        const events = trace.events;
+        let index = 0;
+        let speed = options.speed || 1;
+        let timer = null;
+        let playing = false;
+        let dispatchingSubmit = false;
+
+        function report() {
+            if (options.onProgress) options.onProgress(index, events.length, playing);
+        }
+
+        // Synthetic clicks on submit buttons trigger a native submit; only the
+        // recorded submit event should reach the form handlers during replay
+        function blockImplicitSubmit(e) {
+            if (!dispatchingSubmit) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+            }
+        }
+
+        function dispatch(record) {
+            const target = resolveSelector(record.target);
+            const props = record.props || {};
+
+            if (!target) {
+                if (options.onMissingTarget) options.onMissingTarget(record);
+                return;
+            }
+
+            switch (record.type) {
+                case 'scroll':
+                    window.scrollTo(props.scrollX, props.scrollY);
+                    return;
+                case 'resize':
+                    // The window can't be resized from script; re-run resize handlers instead
+                    window.dispatchEvent(new Event('resize'));
+                    return;
+                case 'focus':
+                    // Moving real focus also fires blur/focusin/focusout like the original
+                    target.focus();
+                    return;
+                case 'blur':
+                    target.blur();
+                    return;
+                case 'input':
+                case 'change':
+                    if (props.value !== undefined) target.value = props.value;
+                    if (props.checked !== undefined) target.checked = props.checked;
+                    target.dispatchEvent(new Event(record.type, { bubbles: true }));
+                    return;
+                case 'submit':
+                    dispatchingSubmit = true;
+                    target.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+                    dispatchingSubmit = false;
+                    return;
+            }
+
+            const init = Object.assign({
+                bubbles: !['mouseenter', 'mouseleave', 'pointerenter', 'pointerleave'].includes(record.type),
+                cancelable: true,
+                view: window
+            }, props);
+
+            let event;
+            if (SESSION_EVENT_TYPES.keyboard.includes(record.type)) {
+                event = new KeyboardEvent(record.type, init);
+            } else if (SESSION_EVENT_TYPES.pointer.includes(record.type) && window.PointerEvent) {
+                event = new PointerEvent(record.type, init);
+            } else {
+                event = new MouseEvent(record.type, init);
+            }
+            target.dispatchEvent(event);
+        }
+
+        function step() {
+            if (index >= events.length) return false;
+            dispatch(events[index]);
+            index++;
+            report();
+            if (index >= events.length) finish();
+            return true;
+        }
+
+        function scheduleNext() {
+            if (!playing || index >= events.length) return;
+            const previous = index > 0 ? events[index - 1].t : events[0].t;
+            const delay = Math.max(0, (events[index].t - previous) / speed);
+            timer = setTimeout(() => {
+                step();
+                scheduleNext();
+            }, delay);
+        }
+
+        function play() {
+            if (playing || index >= events.length) return;
+            playing = true;
+            document.addEventListener('submit', blockImplicitSubmit, true);
+            report();
+            scheduleNext();
+        }
+
+        function pause() {
+            playing = false;
+            clearTimeout(timer);
+            report();
+        }
+
+        function finish() {
+            pause();
+            document.removeEventListener('submit', blockImplicitSubmit, true);
+            if (options.onComplete) options.onComplete();
+        }
+
+        return {
+            play: play,
+            pause: pause,
+            // Stepping also guards against implicit submits
+            step: function() {
+                document.addEventListener('submit', blockImplicitSubmit, true);
+                const stepped = step();
+                if (!playing && index < events.length) {
+                    document.removeEventListener('submit', blockImplicitSubmit, true);
+                }
+                return stepped;
+            },
+            stop: function() {
+                index = events.length;
+                finish();
+            },
+            setSpeed: function(value) {
+                speed = value > 0 ? value : 1;
+            },
+            isPlaying: () => playing,
+            getPosition: () => ({ index: index, total: events.length })
+        };
+    }
+
+    return {
+        createSessionRecorder: createSessionRecorder,
+        createSessionPlayer: createSessionPlayer
+    };
+}));
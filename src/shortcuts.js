@@ -0,0 +1,185 @@
+// Keyboard Shortcut Manager
+// A registry of key bindings. A binding is one or more steps separated by
+// spaces; each step is a key with optional modifiers joined by '+':
+//   'Ctrl+K'           chord
+//   'g g'              sequence (each key within `sequenceTimeout` ms)
+//   'Mod+Enter'        Mod = Ctrl, or Cmd on macOS
+// Options per binding:
+//   within       - element (or selector) the event must come from; default: whole page
+//   inTextFields - also fire while typing in inputs/textareas (default false)
+// Registering a binding that clashes with an existing one (same keys, or one
+// being a prefix of the other, in overlapping scopes) throws an Error.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./dom-utils'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ listenerBinder }) {
+    const SHORTCUT_CONFIG = {
+        sequenceTimeout: 1000
+    };
+
+    const SHORTCUT_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+    const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+    function createShortcutManager(options = {}) {
+        const on = listenerBinder(options.signal);
+        const config = Object.assign({}, SHORTCUT_CONFIG, options);
+        const bindings = [];
+        let buffer = [];
+        let lastKeyTime = 0;
+
+        // 'ctrl+shift+k' -> 'Ctrl+Shift+K' so equal chords compare equal
+        function normaliseStep(step) {
+            const parts = step.split('+').filter(Boolean);
+            let key = parts.pop();
+            const modifiers = new Set(parts.map(part => {
+                const name = part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+                if (name === 'Mod') return IS_MAC ? 'Meta' : 'Ctrl';
+                if (name === 'Cmd') return 'Meta';
+                if (!SHORTCUT_MODIFIERS.includes(name)) {
+                    throw new Error(`Unknown modifier "${part}" in shortcut "${step}"`);
+                }
+                return name;
+            }));
+
+            if (key === 'Space') key = ' ';
+            if (key.length === 1) key = key.toLowerCase();
+            return SHORTCUT_MODIFIERS.filter(name => modifiers.has(name)).concat(key).join('+');
+        }
+
+        function parse(keys) {
+            // A literal space key is written as 'Space' so it can't be confused with the separator
+            return keys.trim().split(/\s+/).map(normaliseStep);
+        }
+
+        // Build the step string for a keyboard event
+        function eventToStep(e) {
+            let key = e.key;
+            const modifiers = [];
+            if (e.ctrlKey) modifiers.push('Ctrl');
+            if (e.altKey) modifiers.push('Alt');
+            // Shift is implied by printable symbols such as '?' or '!'
+            if (e.shiftKey && !(key.length === 1 && key.toLowerCase() === key.toUpperCase())) {
+                modifiers.push('Shift');
+            }
+            if (e.metaKey) modifiers.push('Meta');
+            if (key.length === 1) key = key.toLowerCase();
+            return modifiers.concat(key).join('+');
+        }
+
+        function isTextField(element) {
+            if (!element || !element.tagName) return false;
+            if (element.isContentEditable) return true;
+            if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+            return element.tagName === 'INPUT' &&
+                !['button', 'submit', 'reset', 'checkbox', 'radio', 'range', 'color', 'file'].includes(element.type);
+        }
+
+        function resolveScope(within) {
+            if (!within) return null;
+            const element = typeof within === 'string' ? document.querySelector(within) : within;
+            if (!element) {
+                throw new Error(`Shortcut scope "${within}" does not match any element`);
+            }
+            return element;
+        }
+
+        function scopesOverlap(a, b) {
+            return !a || !b || a.contains(b) || b.contains(a);
+        }
+
+        function isPrefix(shorter, longer) {
+            return shorter.length <= longer.length && shorter.every((step, index) => step === longer[index]);
+        }
+
+        // Display form: 'Ctrl+k' -> 'Ctrl+K', ' ' -> 'Space'
+        function format(steps) {
+            return steps.map(step => step
+                .replace(/(^|\+) $/, '$1Space')
+                .replace(/(^|\+)([a-z])$/, (match, separator, letter) => separator + letter.toUpperCase()))
+                .join(' ');
+        }
+
+        function register(binding) {
+            if (!binding.keys || typeof binding.handler !== 'function') {
+                throw new Error('register: a shortcut needs "keys" and a "handler" function');
+            }
+
+            const entry = {
+                id: binding.id || binding.keys,
+                keys: binding.keys,
+                steps: parse(binding.keys),
+                description: binding.description || '',
+                within: resolveScope(binding.within),
+                scopeLabel: binding.scopeLabel || (binding.within ? 'Section' : 'Page'),
+                inTextFields: !!binding.inTextFields,
+                handler: binding.handler
+            };
+
+            const clash = bindings.find(other =>
+                scopesOverlap(other.within, entry.within) &&
+                (isPrefix(other.steps, entry.steps) || isPrefix(entry.steps, other.steps)));
+            if (clash) {
+                throw new Error(`Shortcut conflict: "${format(entry.steps)}" (${entry.description}) ` +
+                    `clashes with "${format(clash.steps)}" (${clash.description})`);
+            }
+
+            bindings.push(entry);
+            return function unregister() {
+                const index = bindings.indexOf(entry);
+                if (index !== -1) bindings.splice(index, 1);
+            };
+        }
+
+        function handleKeydown(e) {
+            // Widgets that handled the key themselves (tabs, listbox...) win
+            if (e.defaultPrevented || e.repeat) return;
+            if (SHORTCUT_MODIFIERS.includes(e.key) || e.key === 'Control') return;
+
+            const now = Date.now();
+            if (now - lastKeyTime > config.sequenceTimeout) {
+                buffer = [];
+            }
+            lastKeyTime = now;
+            buffer.push(eventToStep(e));
+
+            const longest = bindings.reduce((max, binding) => Math.max(max, binding.steps.length), 1);
+            if (buffer.length > longest) {
+                buffer = buffer.slice(-longest);
+            }
+
+            const inText = isTextField(e.target);
+            const match = bindings.find(binding =>
+                (!inText || binding.inTextFields) &&
+                (!binding.within || binding.within.contains(e.target)) &&
+                buffer.length >= binding.steps.length &&
+                binding.steps.every((step, index) => step === buffer[buffer.length - binding.steps.length + index]));
+
+            if (match) {
+                buffer = [];
+                e.preventDefault();
+                match.handler(e);
+            }
+        }
+
+        on(document, 'keydown', handleKeydown);
+
+        return {
+            register: register,
+            getBindings: () => bindings.map(binding => ({
+                id: binding.id,
+                keys: format(binding.steps),
+                description: binding.description,
+                scope: binding.scopeLabel,
+                inTextFields: binding.inTextFields
+            })),
+            format: format
+        };
+    }
+
+    return {
+        createShortcutManager: createShortcutManager
+    };
+}));
@@ -0,0 +1,239 @@
+// App State Store
+// A small observable store for the state the sections share, so it can be
+// inspected (appState.getState() in the console), undone and redone, and
+// brought back on the next visit or from a link. The sections write to the
+// store and render from it instead of keeping the values in closures.
+//   persist  - keys saved to localStorage under storageKey and restored on load
+//   url      - key -> query parameter, kept in sync with history.replaceState;
+//              values equal to the initial state are left out of the URL, so a
+//              link like ?tab=tab3&theme=dark reproduces just what differs
+//   navigation - the url keys back/forward restores (default: all of them);
+//              the others are preferences, kept as they are and written back
+//              into the URL of the entry landed on
+//   validate - key -> predicate; restored values that fail it are ignored
+// set(partial) records an undo step unless called with { history: false }.
+// subscribe(keys, fn) calls fn(state, change) after every change touching one
+// of keys (all keys if null), where change is { keys, previous, source } and
+// source is 'set', 'undo', 'redo', 'url' (back/forward) or 'restore'. It returns
+// an unsubscribe function. restore(values) puts back a saved snapshot outside
+// the undo history.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./i18n'), require('./event-log')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ t, eventLog }) {
+    const STORE_CONFIG = {
+        historyLimit: 100
+    };
+
+    function createStore(initialState, options = {}) {
+        const config = Object.assign({}, STORE_CONFIG, options);
+        const defaults = Object.freeze(Object.assign({}, initialState));
+        const persist = config.persist || [];
+        const urlParams = config.url || {};
+        const navigation = config.navigation || Object.keys(urlParams);
+        const validate = config.validate || {};
+        const subscribers = [];
+        const restoredFrom = {};
+        let past = [];
+        let future = [];
+        let state = defaults;
+
+        if (persist.length && !config.storageKey) {
+            throw new Error('createStore: persisted keys need a storageKey');
+        }
+        persist.concat(Object.keys(urlParams)).forEach(key => {
+            if (!(key in defaults)) {
+                throw new Error(`createStore: "${key}" is not in the initial state`);
+            }
+        });
+        navigation.forEach(key => {
+            if (!(key in urlParams)) {
+                throw new Error(`createStore: navigation key "${key}" has no URL parameter`);
+            }
+        });
+
+        // Values are plain data, so comparing their JSON is enough
+        function same(a, b) {
+            return a === b || JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        function pick(source, keys) {
+            const values = {};
+            keys.forEach(key => {
+                values[key] = source[key];
+            });
+            return values;
+        }
+
+        function accepts(key, value) {
+            if (value === undefined || !(key in defaults)) return false;
+            return !validate[key] || validate[key](value);
+        }
+
+        // Query parameters are strings; read them back as the type of the initial value
+        function decode(key, raw) {
+            const initial = defaults[key];
+            if (Array.isArray(initial)) return raw === '' ? [] : raw.split(',');
+            if (typeof initial === 'number') {
+                const number = Number(raw);
+                return raw !== '' && Number.isFinite(number) ? number : undefined;
+            }
+            if (typeof initial === 'boolean') {
+                return raw === 'true' ? true : raw === 'false' ? false : undefined;
+            }
+            return raw;
+        }
+
+        function encode(value) {
+            return Array.isArray(value) ? value.join(',') : String(value);
+        }
+
+        function readStorage() {
+            if (!persist.length) return {};
+            try {
+                const stored = JSON.parse(localStorage.getItem(config.storageKey));
+                return stored && typeof stored === 'object' ? pick(stored, persist.filter(key => key in stored)) : {};
+            } catch (err) {
+                // Corrupt or unavailable storage - start from the initial state
+                return {};
+            }
+        }
+
+        function writeStorage() {
+            try {
+                localStorage.setItem(config.storageKey, JSON.stringify(pick(state, persist)));
+            } catch (err) {
+                eventLog.log('state', t('log.messages.state.saveFailed', { error: err.message }), { severity: 'warning' });
+            }
+        }
+
+        function readUrl() {
+            const params = new URLSearchParams(window.location.search);
+            const values = {};
+            Object.keys(urlParams).forEach(key => {
+                if (params.has(urlParams[key])) values[key] = decode(key, params.get(urlParams[key]));
+            });
+            return values;
+        }
+
+        function writeUrl() {
+            const url = new URL(window.location.href);
+            Object.keys(urlParams).forEach(key => {
+                if (same(state[key], defaults[key])) {
+                    url.searchParams.delete(urlParams[key]);
+                } else {
+                    url.searchParams.set(urlParams[key], encode(state[key]));
+                }
+            });
+            if (url.href !== window.location.href) {
+                history.replaceState(history.state, '', url);
+            }
+        }
+
+        // Merge values into the state and tell the subscribers; returns the changed keys
+        function apply(values, source) {
+            const changed = Object.keys(values).filter(key => accepts(key, values[key]) && !same(values[key], state[key]));
+            if (changed.length === 0) return changed;
+
+            const previous = state;
+            state = Object.freeze(Object.assign({}, state, pick(values, changed)));
+
+            const change = { keys: changed, previous: previous, source: source };
+            subscribers.slice().forEach(subscriber => {
+                if (!subscriber.keys || subscriber.keys.some(key => changed.includes(key))) {
+                    subscriber.fn(state, change);
+                }
+            });
+
+            // After the subscribers, so a history entry one of them pushed gets the new URL
+            if (changed.some(key => persist.includes(key))) writeStorage();
+            if (changed.some(key => key in urlParams)) writeUrl();
+            return changed;
+        }
+
+        function set(partial, setOptions = {}) {
+            Object.keys(partial).forEach(key => {
+                if (!(key in defaults)) {
+                    throw new Error(`createStore: unknown state key "${key}"`);
+                }
+            });
+            const before = state;
+            const changed = apply(partial, 'set');
+            // Steps hold only the keys they changed, so undoing one leaves the
+            // values changed outside the history (e.g. key counts) alone
+            if (changed.length && setOptions.history !== false) {
+                past.push({ before: pick(before, changed), after: pick(state, changed) });
+                if (past.length > config.historyLimit) past.shift();
+                future = [];
+            }
+            return changed.length > 0;
+        }
+
+        // Returns the keys that changed, or null when there was nothing to undo/redo
+        function undo() {
+            const step = past.pop();
+            if (!step) return null;
+            future.push(step);
+            return apply(step.before, 'undo');
+        }
+
+        function redo() {
+            const step = future.pop();
+            if (!step) return null;
+            past.push(step);
+            return apply(step.after, 'redo');
+        }
+
+        function subscribe(keys, fn) {
+            const subscriber = { keys: keys ? [].concat(keys) : null, fn: fn };
+            subscribers.push(subscriber);
+            return function unsubscribe() {
+                const index = subscribers.indexOf(subscriber);
+                if (index !== -1) subscribers.splice(index, 1);
+            };
+        }
+
+        // Restore: initial state, then saved values, then the URL
+        function hydrate(values, origin) {
+            const accepted = Object.keys(values).filter(key => accepts(key, values[key]));
+            accepted.forEach(key => {
+                restoredFrom[key] = origin;
+            });
+            state = Object.freeze(Object.assign({}, state, pick(values, accepted)));
+        }
+
+        hydrate(readStorage(), 'storage');
+        hydrate(readUrl(), 'url');
+
+        if (navigation.length) {
+            // Back/forward lands on an entry whose query string may differ; navigation
+            // keys missing from it go back to the initial state, the rest stay put
+            window.addEventListener('popstate', function() {
+                const values = readUrl();
+                apply(Object.assign(pick(defaults, navigation), pick(values, navigation.filter(key => key in values))), 'url');
+                writeUrl();
+            });
+        }
+
+        return {
+            get: key => state[key],
+            getState: () => state,
+            set: set,
+            subscribe: subscribe,
+            undo: undo,
+            redo: redo,
+            canUndo: () => past.length > 0,
+            canRedo: () => future.length > 0,
+            restore: values => apply(values, 'restore'),
+            // 'url' or 'storage' when the key's value was restored on load, otherwise null
+            restoredFrom: key => restoredFrom[key] || null
+        };
+    }
+
+    return {
+        createStore: createStore
+    };
+}));
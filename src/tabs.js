@@ -0,0 +1,218 @@
+// Tabs widget following the WAI-ARIA tabs pattern
+//   activation - 'automatic' (arrow keys select) or 'manual' (arrows move focus,
+//                Enter/Space select)
+//   deepLink   - mirror the active tab in the URL hash and follow back/forward
+//   onChange   - called with (tabId, trigger) once a switch has happened
+// Fires a cancelable, bubbling 'tabchange' event on the tab list before switching.
+// setLayout('accordion') swaps the tab list for a header button above each
+// panel; selection, events and deep links work the same in both layouts.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./dom-utils'), require('./i18n')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ onAbort, listenerBinder, i18n }) {
+    function createTabs(tabList, options = {}) {
+        const on = listenerBinder(options.signal);
+        const activation = options.activation === 'manual' ? 'manual' : 'automatic';
+        const tabButtons = Array.from(tabList.querySelectorAll('.tab-button'));
+
+        if (tabButtons.length === 0) {
+            throw new Error('createTabs: the tab list contains no .tab-button elements');
+        }
+
+        const getPanel = button => document.getElementById(button.dataset.tab);
+        let activeButton = tabButtons.find(button => button.classList.contains('active')) || tabButtons[0];
+        let layout = 'tabs';
+        const accordionHeaders = new Map();
+
+        // Roles and relationships
+        tabList.setAttribute('role', 'tablist');
+        if (!tabList.hasAttribute('aria-label')) {
+            i18n.localizeAttribute(tabList, 'aria-label', 'tabs.label');
+        }
+
+        tabButtons.forEach(button => {
+            const panel = getPanel(button);
+            if (!panel) {
+                throw new Error(`createTabs: no panel found for tab "${button.dataset.tab}"`);
+            }
+            button.id = button.id || `${button.dataset.tab}-tab`;
+            button.setAttribute('role', 'tab');
+            button.setAttribute('aria-controls', panel.id);
+            panel.setAttribute('role', 'tabpanel');
+            panel.setAttribute('aria-labelledby', button.id);
+            panel.tabIndex = 0;
+        });
+
+        function render() {
+            tabButtons.forEach(button => {
+                const selected = button === activeButton;
+                button.classList.toggle('active', selected);
+                button.setAttribute('aria-selected', selected);
+                // Roving tabindex: only the active tab is in the tab order
+                button.tabIndex = selected ? 0 : -1;
+                getPanel(button).classList.toggle('active', selected);
+
+                const header = accordionHeaders.get(button);
+                if (header) header.setAttribute('aria-expanded', selected);
+            });
+        }
+
+        function createAccordionHeader(button) {
+            const panel = getPanel(button);
+            const header = document.createElement('button');
+            header.type = 'button';
+            header.className = 'tab-accordion-header';
+            header.id = `${button.dataset.tab}-header`;
+            header.textContent = button.textContent;
+            // Follow language switches along with the tab button
+            if (button.dataset.i18n) header.dataset.i18n = button.dataset.i18n;
+            header.setAttribute('aria-controls', panel.id);
+            on(header, 'click', () => select(button, 'click'));
+            panel.before(header);
+            return header;
+        }
+
+        function setLayout(nextLayout) {
+            if (nextLayout !== 'tabs' && nextLayout !== 'accordion') {
+                throw new Error(`createTabs: unknown layout "${nextLayout}" (expected tabs or accordion)`);
+            }
+            if (nextLayout === layout) return;
+            layout = nextLayout;
+
+            const accordion = layout === 'accordion';
+            tabList.hidden = accordion;
+            tabList.parentElement.classList.toggle('tabs-accordion', accordion);
+
+            tabButtons.forEach(button => {
+                const panel = getPanel(button);
+                if (accordion && !accordionHeaders.has(button)) {
+                    accordionHeaders.set(button, createAccordionHeader(button));
+                }
+                const header = accordionHeaders.get(button);
+                header.hidden = !accordion;
+
+                // Panels belong to whichever control is visible
+                panel.setAttribute('role', accordion ? 'region' : 'tabpanel');
+                panel.setAttribute('aria-labelledby', accordion ? header.id : button.id);
+            });
+
+            // Don't strand keyboard focus on a control that just disappeared
+            if (accordion && tabButtons.includes(document.activeElement)) {
+                accordionHeaders.get(activeButton).focus();
+            } else if (!accordion && Array.from(accordionHeaders.values()).includes(document.activeElement)) {
+                activeButton.focus();
+            }
+
+            render();
+        }
+
+        // Switch tabs unless a 'tabchange' listener vetoes it; returns true on success
+        function select(button, trigger = 'api') {
+            if (!button || button === activeButton) return false;
+
+            const tabchange = new CustomEvent('tabchange', {
+                bubbles: true,
+                cancelable: true,
+                detail: {
+                    previousTab: activeButton.dataset.tab,
+                    nextTab: button.dataset.tab,
+                    trigger: trigger
+                }
+            });
+            if (!tabList.dispatchEvent(tabchange)) {
+                return false;
+            }
+
+            activeButton = button;
+            render();
+
+            // Each user-driven switch gets its own history entry
+            if (options.deepLink && trigger !== 'history') {
+                history.pushState({ tab: button.dataset.tab }, '', `#${button.dataset.tab}`);
+            }
+            if (options.onChange) options.onChange(button.dataset.tab, trigger);
+            return true;
+        }
+
+        function findByTabId(tabId) {
+            return tabButtons.find(button => button.dataset.tab === tabId) || null;
+        }
+
+        // Open the tab named in the URL hash; the hash is left alone otherwise
+        function restoreFromHash() {
+            const button = findByTabId(decodeURIComponent(window.location.hash.slice(1)));
+            if (!button || button === activeButton) return;
+
+            if (!select(button, 'history') && options.deepLink) {
+                // Vetoed: put the URL back in line with the visible tab
+                history.replaceState({ tab: activeButton.dataset.tab }, '', `#${activeButton.dataset.tab}`);
+            }
+        }
+
+        tabButtons.forEach(button => {
+            on(button, 'click', function() {
+                select(this, 'click');
+            });
+        });
+
+        on(tabList, 'keydown', function(e) {
+            const current = tabButtons.indexOf(document.activeElement);
+            if (current === -1) return;
+
+            let next = null;
+            switch (e.key) {
+                case 'ArrowRight':
+                    next = tabButtons[(current + 1) % tabButtons.length];
+                    break;
+                case 'ArrowLeft':
+                    next = tabButtons[(current - 1 + tabButtons.length) % tabButtons.length];
+                    break;
+                case 'Home':
+                    next = tabButtons[0];
+                    break;
+                case 'End':
+                    next = tabButtons[tabButtons.length - 1];
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            // In automatic mode focus follows the selection, so a vetoed switch
+            // leaves focus (and the roving tabindex) on the current tab
+            if (activation === 'manual' || next === activeButton || select(next, 'keyboard')) {
+                next.focus();
+            }
+        });
+
+        if (options.deepLink) {
+            on(window, 'popstate', restoreFromHash);
+            on(window, 'hashchange', restoreFromHash);
+        }
+
+        // Leave the markup as it was found
+        onAbort(options.signal, function() {
+            setLayout('tabs');
+            accordionHeaders.forEach(header => header.remove());
+            accordionHeaders.clear();
+        });
+
+        render();
+
+        return {
+            select: (tabId, trigger) => select(findByTabId(tabId), trigger),
+            getActive: () => activeButton.dataset.tab,
+            restoreFromHash: restoreFromHash,
+            setLayout: setLayout,
+            getLayout: () => layout,
+            tabs: tabButtons
+        };
+    }
+
+    return {
+        createTabs: createTabs
+    };
+}));
@@ -0,0 +1,90 @@
+// Theme Manager
+// Light, dark, high-contrast and "system" modes. "system" follows the
+// prefers-color-scheme and prefers-contrast media queries. The preference is
+// saved in localStorage and applied as data-theme on <html>; the inline script
+// in index.html's <head> applies it before first paint to avoid a flash.
+// Fires 'themechange' on document with { preference, theme } when it changes.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./dom-utils'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ listenerBinder }) {
+    const THEME_STORAGE_KEY = 'theme-preference';
+    const THEME_PREFERENCES = ['system', 'light', 'dark', 'high-contrast'];
+
+    function createThemeManager(options = {}) {
+        const on = listenerBinder(options.signal);
+        const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+        let preference = readPreference();
+        let theme = null;
+
+        function readPreference() {
+            try {
+                const stored = localStorage.getItem(THEME_STORAGE_KEY);
+                return THEME_PREFERENCES.includes(stored) ? stored : 'system';
+            } catch (err) {
+                return 'system';
+            }
+        }
+
+        // The concrete theme for a preference ('system' is resolved via media queries)
+        function resolve(value) {
+            if (value !== 'system') return value;
+            if (contrastQuery.matches) return 'high-contrast';
+            return darkQuery.matches ? 'dark' : 'light';
+        }
+
+        function apply() {
+            const previous = theme;
+            theme = resolve(preference);
+            document.documentElement.dataset.theme = theme;
+            document.documentElement.dataset.themePreference = preference;
+
+            if (previous !== theme || previous === null) {
+                document.dispatchEvent(new CustomEvent('themechange', {
+                    detail: { preference: preference, theme: theme, previousTheme: previous }
+                }));
+            }
+        }
+
+        // { persist: false } applies the theme for this visit only (e.g. from a shared link)
+        function setPreference(value, setOptions = {}) {
+            if (!THEME_PREFERENCES.includes(value)) {
+                throw new Error(`Unknown theme "${value}" (expected one of ${THEME_PREFERENCES.join(', ')})`);
+            }
+            preference = value;
+            if (setOptions.persist !== false) {
+                try {
+                    localStorage.setItem(THEME_STORAGE_KEY, value);
+                } catch (err) {
+                    // The theme still applies for this visit
+                }
+            }
+            apply();
+        }
+
+        // Only "system" follows OS changes
+        function handleMediaChange() {
+            if (preference === 'system') apply();
+        }
+
+        on(darkQuery, 'change', handleMediaChange);
+        on(contrastQuery, 'change', handleMediaChange);
+
+        apply();
+
+        return {
+            setPreference: setPreference,
+            getPreference: () => preference,
+            getTheme: () => theme
+        };
+    }
+
+    return {
+        THEME_PREFERENCES: THEME_PREFERENCES,
+        createThemeManager: createThemeManager
+    };
+}));
@@ -0,0 +1,40 @@
+// Timing Utilities
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./lifecycle'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ pageLifecycle }) {
+    // Throttled handlers are for live feedback, so they sit out while the page is hidden
+    function throttle(func, limit) {
+        let inThrottle;
+        return function() {
+            const args = arguments;
+            const context = this;
+            if (pageLifecycle.isHidden()) return;
+            if (!inThrottle) {
+                func.apply(context, args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        }
+    }
+
+    function debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    return {
+        throttle: throttle,
+        debounce: debounce
+    };
+}));
@@ -0,0 +1,138 @@
+// Toast Notifications
+// Non-blocking messages that stack in the corner of the screen.
+//   severity - 'info' (default), 'success', 'warning' or 'error'
+//   duration - ms before auto-dismiss; 0 keeps it until closed
+//   actions  - [{ label, onClick }] buttons (action: {...} for a single one)
+// The countdown pauses while the toast is hovered or focused and while the
+// page is hidden, so nobody misses a message.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./lifecycle'), require('./i18n')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(this, function({ pageLifecycle, t }) {
+    const TOAST_CONFIG = {
+        duration: 6000,
+        maxVisible: 4      // older toasts are dismissed beyond this
+    };
+
+    const TOAST_ICONS = { info: 'ℹ️', success: '✅', warning: '⚠️', error: '❌' };
+
+    function getToastContainer() {
+        let container = document.getElementById('toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toast-container';
+            container.className = 'toast-container';
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+
+    function showToast(message, options = {}) {
+        const container = getToastContainer();
+        const severity = TOAST_ICONS[options.severity] ? options.severity : 'info';
+        const duration = 'duration' in options ? options.duration : TOAST_CONFIG.duration;
+        const actions = options.actions || (options.action ? [options.action] : []);
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${severity}`;
+        // Problems interrupt the screen reader; the rest is read by the container's polite live region
+        if (severity === 'error' || severity === 'warning') toast.setAttribute('role', 'alert');
+
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = TOAST_ICONS[severity];
+
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.append(icon, text);
+
+        let timer = null;
+        let remaining = duration;
+        let startedAt = 0;
+        let dismissed = false;
+        const pauseReasons = new Set();
+
+        function dismiss() {
+            if (dismissed) return;
+            dismissed = true;
+            clearTimeout(timer);
+            unsubscribe();
+            toast.remove();
+            if (options.onDismiss) options.onDismiss();
+        }
+
+        function resume(reason) {
+            pauseReasons.delete(reason);
+            if (pauseReasons.size || !duration || dismissed || timer !== null) return;
+            startedAt = performance.now();
+            timer = setTimeout(dismiss, remaining);
+            toast.classList.remove('paused');
+        }
+
+        function pause(reason) {
+            pauseReasons.add(reason);
+            if (timer === null) return;
+            clearTimeout(timer);
+            timer = null;
+            remaining = Math.max(1000, remaining - (performance.now() - startedAt));
+            toast.classList.add('paused');
+        }
+
+        actions.forEach(action => {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', function() {
+                dismiss();
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        });
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'toast-close';
+        closeBtn.setAttribute('aria-label', t('dialog.dismiss'));
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', dismiss);
+        toast.appendChild(closeBtn);
+
+        toast.addEventListener('mouseenter', () => pause('hover'));
+        toast.addEventListener('mouseleave', () => resume('hover'));
+        toast.addEventListener('focusin', () => pause('focus'));
+        toast.addEventListener('focusout', function(e) {
+            if (!toast.contains(e.relatedTarget)) resume('focus');
+        });
+
+        const unsubscribe = pageLifecycle.subscribe(function(change) {
+            if (change.type !== 'visibility') return;
+            if (change.hidden) {
+                pause('hidden');
+            } else {
+                resume('hidden');
+            }
+        });
+
+        container.appendChild(toast);
+
+        // Keep the stack short; the oldest make way
+        const stacked = container.querySelectorAll('.toast');
+        for (let i = 0; i < stacked.length - TOAST_CONFIG.maxVisible; i++) {
+            stacked[i].querySelector('.toast-close').click();
+        }
+
+        if (pageLifecycle.isHidden()) pauseReasons.add('hidden');
+        resume('start');
+
+        return { dismiss: dismiss };
+    }
+
+    return {
+        showToast: showToast
+    };
+}));
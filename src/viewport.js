@@ -0,0 +1,128 @@
+// Breakpoint Service
+// Named breakpoints evaluated with matchMedia, so JS and CSS agree on where
+// the layout changes. The current one is mirrored as data-breakpoint on
+// <html>. Fires on document:
+//   'breakpointchange' { breakpoint, previousBreakpoint }
+//   'viewportchange'   { orientation, pixelRatio } (rotation, zoom, moving to another screen)
+// observe(element, callback) reports element sizes via one shared ResizeObserver.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(this, function() {
+    const BREAKPOINTS = {
+        sm: 0,       // min-width in px; the smallest applies when nothing else matches
+        md: 640,
+        lg: 1024
+    };
+
+    function createBreakpointService(breakpoints = BREAKPOINTS) {
+        const names = Object.keys(breakpoints).sort((a, b) => breakpoints[a] - breakpoints[b]);
+        const queries = names.map(name => ({
+            name: name,
+            query: window.matchMedia(`(min-width: ${breakpoints[name]}px)`)
+        }));
+        const orientationQuery = window.matchMedia('(orientation: portrait)');
+        const observed = new Map();
+        let resizeObserver = null;
+        let pixelRatioQuery = null;
+        let breakpoint = null;
+
+        function resolve() {
+            // Largest breakpoint whose query matches
+            const matching = queries.filter(entry => breakpoints[entry.name] === 0 || entry.query.matches);
+            return matching.length ? matching[matching.length - 1].name : names[0];
+        }
+
+        function update() {
+            const previous = breakpoint;
+            breakpoint = resolve();
+            document.documentElement.dataset.breakpoint = breakpoint;
+
+            if (previous !== breakpoint) {
+                document.dispatchEvent(new CustomEvent('breakpointchange', {
+                    detail: { breakpoint: breakpoint, previousBreakpoint: previous }
+                }));
+            }
+        }
+
+        function getOrientation() {
+            return orientationQuery.matches ? 'portrait' : 'landscape';
+        }
+
+        function notifyViewport() {
+            document.dispatchEvent(new CustomEvent('viewportchange', {
+                detail: { orientation: getOrientation(), pixelRatio: window.devicePixelRatio || 1 }
+            }));
+        }
+
+        // A resolution query only matches one ratio, so re-arm it after every change
+        function watchPixelRatio() {
+            if (pixelRatioQuery) pixelRatioQuery.removeEventListener('change', onPixelRatioChange);
+            pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+            pixelRatioQuery.addEventListener('change', onPixelRatioChange);
+        }
+
+        function onPixelRatioChange() {
+            watchPixelRatio();
+            notifyViewport();
+        }
+
+        function observe(element, callback) {
+            if (!window.ResizeObserver) {
+                throw new Error('createBreakpointService: ResizeObserver is not supported in this browser');
+            }
+            if (!resizeObserver) {
+                resizeObserver = new ResizeObserver(records => {
+                    records.forEach(record => {
+                        const box = record.contentBoxSize ?
+                            [].concat(record.contentBoxSize)[0] : null;
+                        const size = box ?
+                            { width: box.inlineSize, height: box.blockSize } :
+                            { width: record.contentRect.width, height: record.contentRect.height };
+                        (observed.get(record.target) || []).forEach(listener => listener(size, record.target));
+                    });
+                });
+            }
+
+            if (!observed.has(element)) {
+                observed.set(element, []);
+                resizeObserver.observe(element);
+            }
+            observed.get(element).push(callback);
+
+            return function unobserve() {
+                const listeners = observed.get(element) || [];
+                const index = listeners.indexOf(callback);
+                if (index !== -1) listeners.splice(index, 1);
+                if (listeners.length === 0) {
+                    observed.delete(element);
+                    resizeObserver.unobserve(element);
+                }
+            };
+        }
+
+        queries.forEach(entry => entry.query.addEventListener('change', update));
+        orientationQuery.addEventListener('change', notifyViewport);
+        watchPixelRatio();
+        update();
+
+        return {
+            getBreakpoint: () => breakpoint,
+            // True when the viewport is at least as wide as the named breakpoint
+            isAtLeast: name => names.indexOf(breakpoint) >= names.indexOf(name),
+            getOrientation: getOrientation,
+            getPixelRatio: () => window.devicePixelRatio || 1,
+            observe: observe
+        };
+    }
+
+    const viewport = createBreakpointService();
+
+    return {
+        createBreakpointService: createBreakpointService,
+        viewport: viewport
+    };
+}));
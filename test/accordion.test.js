@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+installDom();
+const { createAccordion } = require('../src/accordion');
+
+describe('createAccordion', () => {
+    let controller;
+    let container;
+
+    function setup(entries) {
+        document.getElementById('faq-data').textContent = JSON.stringify(entries);
+        const accordion = createAccordion(container, { source: '#faq-data', signal: controller.signal });
+        return accordion.ready.then(() => accordion);
+    }
+
+    function marks(selector = '.faq-question') {
+        return Array.from(container.querySelectorAll(`${selector} mark`), mark => mark.textContent);
+    }
+
+    beforeEach(() => {
+        controller = new AbortController();
+        document.body.innerHTML = `
+            <script type="application/json" id="faq-data"></script>
+            <div class="faq-list"></div>`;
+        container = document.querySelector('.faq-list');
+    });
+
+    afterEach(() => {
+        controller.abort();
+    });
+
+    it('highlights every match case-insensitively and expands matching answers', async () => {
+        const accordion = await setup([
+            { id: 'a', question: 'Tickets and Refunds', answer: 'Refunds take a week.' },
+            { id: 'b', question: 'Parking', answer: 'Free on site.' }
+        ]);
+
+        assert.equal(accordion.search('refund'), 1);
+        assert.deepEqual(marks(), ['Refund']);
+        assert.deepEqual(marks('.faq-content'), ['Refund']);
+        assert.equal(container.querySelector('#faq-a-toggle').getAttribute('aria-expanded'), 'true');
+        assert.ok(container.querySelector('#faq-b').classList.contains('no-match'));
+
+        assert.equal(accordion.search(''), 0);
+        assert.deepEqual(marks(), []);
+        assert.equal(container.querySelector('.faq-question').textContent, 'Tickets and Refunds');
+        assert.equal(container.querySelector('#faq-a-toggle').getAttribute('aria-expanded'), 'false');
+    });
+
+    it('maps matches back to the original text when lower-casing changes its length', async () => {
+        const accordion = await setup([
+            { id: 'a', question: 'İstanbul events', answer: 'Held in İzmir and Istanbul.' }
+        ]);
+        const question = container.querySelector('.faq-question');
+
+        assert.equal(accordion.search('events'), 1);
+        assert.deepEqual(marks(), ['events']);
+        assert.equal(question.textContent, 'İstanbul events');
+
+        accordion.search('i');
+        assert.deepEqual(marks(), ['İ']);
+        assert.deepEqual(marks('.faq-content'), ['i', 'İ', 'i', 'I']);
+        assert.equal(question.textContent, 'İstanbul events');
+
+        accordion.search('İstanbul');
+        assert.deepEqual(marks(), ['İstanbul']);
+        assert.deepEqual(marks('.faq-content'), []);
+    });
+});
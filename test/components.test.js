@@ -0,0 +1,145 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+installDom();
+const { eventLog } = require('../src/event-log');
+const {
+    defineComponent,
+    mountComponent,
+    unmountComponent,
+    remountComponent,
+    mountAllComponents,
+    getComponentStates
+} = require('../src/components');
+
+// Components are registered once per page, so every test uses its own names
+let counter = 0;
+function uniqueName(name) {
+    return `${name}-${++counter}`;
+}
+
+describe('components', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <section id="panel">
+                <button class="action" data-id="1">One</button>
+                <button class="action" data-id="2"><span>Two</span></button>
+            </section>`;
+    });
+
+    it('mounts into its root and tears everything down on unmount', () => {
+        const name = uniqueName('panel');
+        const clicks = [];
+        const cleanups = [];
+        defineComponent({
+            name: name,
+            root: '#panel',
+            mount: function(ctx) {
+                assert.equal(ctx.root, document.getElementById('panel'));
+                ctx.on(ctx.require('.action'), 'click', () => clicks.push('direct'));
+                ctx.delegate('click', '.action', function(e, match) {
+                    clicks.push(match.dataset.id);
+                });
+                ctx.onCleanup(() => cleanups.push('first'));
+                ctx.onCleanup(() => cleanups.push('second'));
+            }
+        });
+
+        const context = mountComponent(name);
+        assert.equal(mountComponent(name), context);
+        document.querySelector('[data-id="1"]').click();
+        document.querySelector('[data-id="2"] span').click();
+        assert.deepEqual(clicks, ['direct', '1', '2']);
+
+        unmountComponent(name);
+        assert.ok(context.signal.aborted);
+        assert.deepEqual(cleanups, ['second', 'first']);
+        document.querySelector('[data-id="1"]').click();
+        assert.deepEqual(clicks, ['direct', '1', '2']);
+        assert.deepEqual(getComponentStates().find(state => state.name === name), { name: name, mounted: false });
+    });
+
+    it('announces mounting and unmounting, and can mount again', () => {
+        const name = uniqueName('again');
+        const changes = [];
+        const listener = e => changes.push(e.detail);
+        document.addEventListener('componentchange', listener);
+        let mounts = 0;
+        defineComponent({ name: name, mount: () => mounts++ });
+
+        mountComponent(name);
+        remountComponent(name);
+        document.removeEventListener('componentchange', listener);
+
+        assert.equal(mounts, 2);
+        assert.deepEqual(changes, [
+            { name: name, mounted: true },
+            { name: name, mounted: false },
+            { name: name, mounted: true }
+        ]);
+    });
+
+    it('requires elements outside the root when asked to look in the document', () => {
+        const name = uniqueName('outside');
+        document.body.insertAdjacentHTML('beforeend', '<aside id="elsewhere"></aside>');
+        let found = null;
+        defineComponent({
+            name: name,
+            root: '#panel',
+            mount: function(ctx) {
+                assert.throws(() => ctx.require('#elsewhere'), /not found in #panel/);
+                found = ctx.require('#elsewhere', document);
+                assert.throws(() => ctx.require('#gone', document), /required element "#gone" not found in the document/);
+            }
+        });
+
+        mountComponent(name);
+        assert.equal(found, document.getElementById('elsewhere'));
+    });
+
+    it('undoes a half-finished mount and reports missing elements clearly', () => {
+        const name = uniqueName('broken');
+        let listenerCalls = 0;
+        let context = null;
+        defineComponent({
+            name: name,
+            root: '#panel',
+            mount: function(ctx) {
+                context = ctx;
+                ctx.on(document, 'custom', () => listenerCalls++);
+                ctx.require('#missing');
+            }
+        });
+
+        assert.throws(() => mountComponent(name), new RegExp(`Component "${name}": required element "#missing" not found in #panel`));
+        assert.ok(context.signal.aborted);
+        document.dispatchEvent(new Event('custom'));
+        assert.equal(listenerCalls, 0);
+        assert.equal(getComponentStates().find(state => state.name === name).mounted, false);
+    });
+
+    it('keeps mounting the others when one fails, and logs the failure', () => {
+        const broken = uniqueName('fails');
+        const working = uniqueName('works');
+        defineComponent({ name: broken, root: '#nowhere', mount: function() {} });
+        defineComponent({ name: working, mount: function() {} });
+
+        mountAllComponents();
+
+        assert.equal(getComponentStates().find(state => state.name === working).mounted, true);
+        const entry = eventLog.getEntries().find(item => item.message.includes(`"${broken}"`));
+        assert.equal(entry.severity, 'error');
+        assert.match(entry.message, /root element "#nowhere" not found/);
+    });
+
+    it('rejects incomplete, duplicate and unknown components', () => {
+        const name = uniqueName('once');
+        defineComponent({ name: name, mount: function() {} });
+
+        assert.throws(() => defineComponent({ name: name, mount: function() {} }), /already defined/);
+        assert.throws(() => defineComponent({ name: uniqueName('nameless') }), /needs a name and a mount function/);
+        assert.throws(() => mountComponent('nope'), /unknown component "nope"/);
+        assert.throws(() => unmountComponent('nope'), /unknown component "nope"/);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, pageGlobal } = require('./helpers/dom');
+
+// What a browser does for Enter in a form: keydown, then implicit submission
+// (which jsdom doesn't implement) unless a handler took the key
+function pressEnter(window, element) {
+    const event = new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+    if (element.dispatchEvent(event) && element.form) element.form.requestSubmit();
+}
+
+function pressEscape(window, element) {
+    element.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+}
+
+describe('dialogs', () => {
+    let page;
+    let window;
+    let document;
+    let opener;
+
+    beforeEach(async () => {
+        page = await loadPage();
+        window = page.window;
+        document = window.document;
+        opener = document.getElementById('click-button');
+        opener.focus();
+    });
+
+    afterEach(() => {
+        window.close();
+        assert.deepEqual(page.errors.map(err => err.message), []);
+    });
+
+    it('showAlert resolves when dismissed and hands focus back', async () => {
+        const closed = window.showAlert('Saved!', { title: 'Done' });
+        const dialog = document.querySelector('.app-dialog');
+        assert.equal(dialog.getAttribute('role'), 'dialog');
+        assert.equal(document.getElementById(dialog.getAttribute('aria-labelledby')).textContent, 'Done');
+        assert.equal(document.activeElement.textContent, 'OK');
+
+        pressEnter(window, document.activeElement);
+        assert.equal(await closed, undefined);
+        assert.equal(document.querySelector('.app-dialog'), null);
+        assert.equal(document.activeElement, opener);
+    });
+
+    it('showConfirm is an alertdialog resolving true on confirm', async () => {
+        const answer = window.showConfirm('Delete everything?', { confirmLabel: 'Delete', danger: true });
+        const dialog = document.querySelector('.app-dialog');
+        assert.equal(dialog.getAttribute('role'), 'alertdialog');
+        assert.equal(dialog.querySelector('.app-dialog-title').textContent, 'Please confirm');
+        const confirm = dialog.querySelector('[type="submit"]');
+        assert.equal(document.activeElement, confirm);
+        assert.ok(confirm.classList.contains('danger'));
+
+        pressEnter(window, confirm);
+        assert.equal(await answer, true);
+        assert.equal(document.activeElement, opener);
+    });
+
+    it('showConfirm resolves false on Cancel and on Escape', async () => {
+        const cancelled = window.showConfirm('Leave?');
+        const cancel = Array.from(document.querySelectorAll('.app-dialog button'))
+            .find(button => button.textContent === 'Cancel');
+        cancel.click();
+        assert.equal(await cancelled, false);
+
+        const escaped = window.showConfirm('Leave?');
+        pressEscape(window, document.activeElement);
+        assert.equal(await escaped, false);
+        assert.equal(document.querySelector('.app-dialog'), null);
+        assert.equal(document.activeElement, opener);
+    });
+
+    it('showPrompt resolves the entered value on Enter', async () => {
+        const answer = window.showPrompt('Your name?', { defaultValue: 'Ada' });
+        const input = document.querySelector('.app-dialog-input');
+        assert.equal(document.activeElement, input);
+        assert.equal(input.value, 'Ada');
+        assert.equal(document.querySelector('.app-dialog-title').textContent, 'Input required');
+
+        input.value = 'Grace';
+        pressEnter(window, input);
+        assert.equal(await answer, 'Grace');
+        assert.equal(document.activeElement, opener);
+    });
+
+    it('showPrompt resolves null on Escape, even with text typed', async () => {
+        const answer = window.showPrompt('Your name?');
+        const input = document.querySelector('.app-dialog-input');
+        input.value = 'typed';
+        pressEscape(window, input);
+        assert.equal(await answer, null);
+        assert.equal(document.activeElement, opener);
+    });
+
+    it('uses the page language for its default labels', async () => {
+        pageGlobal(window, 'i18n').setLocale('es');
+        const answer = window.showConfirm('¿Seguro?');
+        const labels = Array.from(document.querySelectorAll('.app-dialog button'), button => button.textContent);
+        assert.deepEqual(labels, ['Cancelar', 'Aceptar']);
+        assert.equal(document.querySelector('.app-dialog-title').textContent, 'Confirma, por favor');
+        pressEscape(window, document.activeElement);
+        await answer;
+    });
+});
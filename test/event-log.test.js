@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom, installClock } = require('./helpers/dom');
+
+installDom();
+const { createEventLog, createEventLogView } = require('../src/event-log');
+
+describe('createEventLog', () => {
+    let clock;
+    let consoleCalls;
+    let originalConsole;
+
+    beforeEach(() => {
+        clock = installClock({ now: Date.UTC(2024, 0, 2, 3, 4, 5) });
+        consoleCalls = [];
+        originalConsole = Object.assign({}, console);
+        ['log', 'warn', 'error', 'debug'].forEach(method => {
+            console[method] = (...args) => consoleCalls.push([method, ...args]);
+        });
+    });
+
+    afterEach(() => {
+        Object.assign(console, originalConsole);
+        clock.uninstall();
+    });
+
+    it('records entries with a category and severity', () => {
+        const log = createEventLog();
+        const entry = log.log('form', 'Sent', { severity: 'success', details: { id: 1 } });
+
+        assert.deepEqual(entry, {
+            id: 1,
+            timestamp: Date.UTC(2024, 0, 2, 3, 4, 5),
+            category: 'form',
+            severity: 'success',
+            message: 'Sent',
+            details: { id: 1 }
+        });
+        assert.equal(log.log('form', 'Odd', { severity: 'progress' }).severity, 'info');
+        assert.deepEqual(log.getEntries().map(item => item.id), [1, 2]);
+    });
+
+    it('drops the oldest entries beyond its capacity', () => {
+        const log = createEventLog({ capacity: 3 });
+        ['a', 'b', 'c', 'd', 'e'].forEach(message => log.log('demo', message));
+        assert.deepEqual(log.getEntries().map(item => item.message), ['c', 'd', 'e']);
+    });
+
+    it('mirrors entries from consoleLevel up to the console', () => {
+        const log = createEventLog();
+        log.log('demo', 'quiet');
+        log.log('demo', 'careful', { severity: 'warning' });
+        log.log('demo', 'broken', { severity: 'error', details: { code: 7 } });
+        createEventLog({ consoleLevel: null }).log('demo', 'silent', { severity: 'error' });
+
+        assert.deepEqual(consoleCalls, [
+            ['warn', '[demo] careful', ''],
+            ['error', '[demo] broken', { code: 7 }]
+        ]);
+    });
+
+    it('filters, subscribes and clears', () => {
+        const log = createEventLog();
+        const changes = [];
+        const unsubscribe = log.subscribe((change, entry) => changes.push([change, entry && entry.message]));
+        log.log('faq', 'FAQ opened');
+        log.log('tabs', 'Tab switched', { severity: 'warning' });
+        log.log('faq', 'FAQ closed', { severity: 'warning' });
+
+        assert.deepEqual(log.query({ categories: ['faq'] }).map(item => item.message), ['FAQ opened', 'FAQ closed']);
+        assert.deepEqual(log.query({ severity: 'warning', search: 'TAB' }).map(item => item.message), ['Tab switched']);
+
+        log.clear();
+        unsubscribe();
+        log.log('faq', 'not seen');
+        assert.deepEqual(changes, [['add', 'FAQ opened'], ['add', 'Tab switched'], ['add', 'FAQ closed'], ['clear', undefined]]);
+    });
+
+    it('exports JSON and CSV, escaping quotes', () => {
+        const log = createEventLog();
+        log.log('form', 'Said "hi", twice', { details: { a: 1 } });
+        log.log('faq', 'Other');
+
+        assert.deepEqual(JSON.parse(log.exportAs('json', { categories: ['form'] })).map(item => item.message),
+            ['Said "hi", twice']);
+        assert.equal(log.exportAs('csv', { categories: ['form'] }), [
+            'timestamp,category,severity,message,details',
+            '"2024-01-02T03:04:05.000Z","form","info","Said ""hi"", twice","{""a"":1}"'
+        ].join('\n'));
+    });
+});
+
+describe('createEventLogView', () => {
+    let controller;
+    let list;
+
+    beforeEach(() => {
+        controller = new AbortController();
+        document.body.innerHTML = '<ul id="log"></ul>';
+        list = document.getElementById('log');
+    });
+
+    afterEach(() => controller.abort());
+
+    const shown = () => Array.from(list.children, item => item.textContent.replace(/^\[[^\]]*\] /, ''));
+
+    it('shows the latest matching entries, up to its limit', () => {
+        const log = createEventLog({ consoleLevel: null });
+        log.log('mouse', 'before');
+        createEventLogView(log, list, { categories: ['mouse'], limit: 2, signal: controller.signal });
+        assert.deepEqual(shown(), ['before']);
+
+        log.log('mouse', 'one');
+        log.log('form', 'elsewhere');
+        log.log('mouse', 'two', { severity: 'warning' });
+        assert.deepEqual(shown(), ['one', 'two']);
+        assert.equal(list.lastElementChild.className, 'log-entry severity-warning');
+        assert.equal(list.lastElementChild.dataset.category, 'mouse');
+    });
+
+    it('freezes while paused and counts what it missed', () => {
+        const log = createEventLog({ consoleLevel: null });
+        const pauses = [];
+        const view = createEventLogView(log, list, {
+            signal: controller.signal,
+            onPauseChange: (paused, missed) => pauses.push([paused, missed])
+        });
+
+        view.pause();
+        log.log('demo', 'while paused');
+        assert.deepEqual(shown(), []);
+        view.resume();
+        assert.deepEqual(shown(), ['while paused']);
+        assert.deepEqual(pauses, [[true, 0], [true, 1], [false, 0]]);
+
+        view.setFilter({ search: 'nothing' });
+        assert.deepEqual(shown(), []);
+        assert.deepEqual(view.getFilter(), { categories: null, severity: '', search: 'nothing' });
+    });
+
+    it('stops following the log once torn down', () => {
+        const log = createEventLog({ consoleLevel: null });
+        createEventLogView(log, list, { signal: controller.signal });
+        controller.abort();
+        log.log('demo', 'after');
+        assert.deepEqual(shown(), []);
+    });
+});
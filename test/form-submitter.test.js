@@ -0,0 +1,213 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom, installClock } = require('./helpers/dom');
+
+installDom();
+const { createFormSubmitter } = require('../src/form-submitter');
+const { installMockServer } = require('../src/mock-server');
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), { status: status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// A queue kept in memory, with the interface of createSubmissionQueue()
+function createMemoryQueue() {
+    const entries = [];
+    let nextId = 1;
+    return {
+        entries: entries,
+        add: entry => {
+            entries.push(Object.assign({ id: nextId++ }, entry));
+            return Promise.resolve();
+        },
+        getAll: () => Promise.resolve(entries.slice()),
+        remove: id => {
+            entries.splice(entries.findIndex(entry => entry.id === id), 1);
+            return Promise.resolve();
+        }
+    };
+}
+
+describe('createFormSubmitter', () => {
+    let clock;
+    let controller;
+    let realFetch;
+    let requests;
+    let responses;
+    let online;
+    let statuses;
+
+    beforeEach(() => {
+        clock = installClock();
+        controller = new AbortController();
+        realFetch = globalThis.fetch;
+        requests = [];
+        responses = [];
+        globalThis.fetch = function(url, init) {
+            requests.push({ url: url, method: init.method, body: init.body });
+            const next = responses.shift();
+            return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+        };
+        online = true;
+        Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+        statuses = [];
+    });
+
+    afterEach(() => {
+        controller.abort();
+        globalThis.fetch = realFetch;
+        delete navigator.onLine;
+        clock.uninstall();
+    });
+
+    function createSubmitter(options = {}) {
+        return createFormSubmitter(Object.assign({
+            signal: controller.signal,
+            onStatus: (message, type) => statuses.push(type)
+        }, options));
+    }
+
+    it('posts the data as JSON and resolves with the response', async () => {
+        responses.push(jsonResponse(201, { id: 'abc' }));
+        const result = await createSubmitter().submit({ name: 'Ada' });
+
+        assert.deepEqual(result, { status: 'sent', response: { id: 'abc' } });
+        assert.deepEqual(requests, [{ url: '/api/contact', method: 'POST', body: '{"name":"Ada"}' }]);
+        assert.deepEqual(statuses, ['info']);
+    });
+
+    it('retries network errors and 5xx responses with a doubling delay', async () => {
+        responses.push(new TypeError('Failed to fetch'), jsonResponse(503, { message: 'Busy' }), jsonResponse(201, {}));
+        const submitter = createSubmitter({ retries: 3, retryDelay: 100 });
+        let result = null;
+        submitter.submit({}).then(value => {
+            result = value;
+        });
+
+        await clock.tickAsync(99);
+        assert.equal(requests.length, 1);
+        await clock.tickAsync(1);
+        assert.equal(requests.length, 2);
+        await clock.tickAsync(199);
+        assert.equal(requests.length, 2);
+        await clock.tickAsync(1);
+
+        assert.equal(requests.length, 3);
+        assert.equal(result.status, 'sent');
+        assert.deepEqual(statuses, ['info', 'warning', 'info', 'warning', 'info']);
+    });
+
+    it('gives up on other 4xx responses at once', async () => {
+        responses.push(jsonResponse(422, { message: 'Validation failed on the server', errors: { email: 'Bad' } }));
+
+        await assert.rejects(createSubmitter().submit({}), error => {
+            assert.equal(error.message, 'Validation failed on the server');
+            assert.equal(error.status, 422);
+            assert.deepEqual(error.body.errors, { email: 'Bad' });
+            return true;
+        });
+        assert.equal(requests.length, 1);
+    });
+
+    it('queues while offline and sends the queue once back online', async () => {
+        const queue = createMemoryQueue();
+        const submitter = createSubmitter({ queue: queue });
+        online = false;
+
+        assert.deepEqual(await submitter.submit({ n: 1 }), { status: 'queued' });
+        await submitter.submit({ n: 2 });
+        assert.equal(queue.entries.length, 2);
+        assert.equal(requests.length, 0);
+        assert.deepEqual(statuses, ['warning', 'warning']);
+        assert.equal(await submitter.flush(), 0);
+
+        online = true;
+        responses.push(jsonResponse(201, {}), jsonResponse(201, {}));
+        assert.equal(await submitter.flush(), 2);
+        assert.deepEqual(requests.map(request => request.body), ['{"n":1}', '{"n":2}']);
+        assert.equal(queue.entries.length, 0);
+        assert.deepEqual(statuses.slice(2), ['info', 'success', 'info', 'success']);
+    });
+
+    it('flushes quietly when the queue cannot be opened', async () => {
+        const unavailable = { getAll: () => Promise.reject(new Error('IndexedDB is not available in this browser')) };
+        assert.equal(await createSubmitter({ queue: unavailable }).flush(), 0);
+        assert.deepEqual(statuses, []);
+    });
+
+    it('reports a queued submission that still fails to send', async () => {
+        const queue = createMemoryQueue();
+        await queue.add({ data: { n: 1 }, queuedAt: 0 });
+        responses.push(jsonResponse(400, { message: 'Rejected' }));
+
+        assert.equal(await createSubmitter({ queue: queue }).flush(), 0);
+        assert.deepEqual(statuses, ['info', 'error']);
+        assert.equal(queue.entries.length, 1);
+    });
+
+    it('rejects offline submissions without a queue', async () => {
+        online = false;
+        await assert.rejects(createSubmitter().submit({}), /no submission queue is configured/);
+    });
+});
+
+describe('installMockServer', () => {
+    let clock;
+    let uninstall;
+
+    beforeEach(() => {
+        clock = installClock();
+    });
+
+    afterEach(() => {
+        uninstall();
+        clock.uninstall();
+    });
+
+    function post(path, body) {
+        return window.fetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    it('answers registered routes after its latency', async () => {
+        uninstall = installMockServer({
+            'POST /api/echo': body => ({ status: 200, body: { echoed: body } })
+        }, { latency: 100 });
+
+        let response = null;
+        post('/api/echo', { a: 1 }).then(value => {
+            response = value;
+        });
+        await clock.tickAsync(99);
+        assert.equal(response, null);
+        await clock.tickAsync(1);
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { echoed: { a: 1 } });
+    });
+
+    it('passes other requests on and can be uninstalled', async () => {
+        uninstall = installMockServer({ 'POST /api/echo': () => ({ status: 200, body: {} }) }, { latency: 0 });
+        // The page's real fetch fails: there is no network in the tests
+        await assert.rejects(window.fetch('/elsewhere'), /Failed to fetch/);
+
+        uninstall();
+        await assert.rejects(post('/api/echo', {}), /Failed to fetch/);
+    });
+
+    it('fails like a flaky or unreachable server on request', async () => {
+        uninstall = installMockServer({ 'POST /api/echo': () => ({ status: 200, body: {} }) }, { latency: 0, failureRate: 1 });
+        const failed = post('/api/echo', {});
+        await clock.tickAsync(0);
+        assert.equal((await failed).status, 503);
+
+        Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => false });
+        const offline = assert.rejects(post('/api/echo', {}), /Failed to fetch/);
+        await clock.tickAsync(0);
+        await offline;
+        delete navigator.onLine;
+    });
+});
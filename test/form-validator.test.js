@@ -0,0 +1,83 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+installDom();
+const { createFormValidator, EMAIL_PATTERN, NAME_PATTERN } = require('../src/form-validator');
+
+function type(element, value) {
+    element.value = value;
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+describe('createFormValidator', () => {
+    let form;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <form id="signup">
+                <div id="summary" hidden></div>
+                <label for="name">Name</label><input id="name" name="name"><p id="name-error"></p>
+                <label for="email">Email</label><input id="email" name="email"><p id="email-error"></p>
+                <label for="pin">PIN</label><input id="pin" name="pin">
+                <label for="pin2">Repeat PIN</label><input id="pin2" name="pin2">
+                <button type="submit">Send</button>
+            </form>`;
+        form = document.getElementById('signup');
+    });
+
+    function createValidator(options = {}) {
+        return createFormValidator(form, {
+            name: { required: true, minLength: 2, pattern: NAME_PATTERN, feedback: 'name-error' },
+            email: { required: 'Email please', pattern: EMAIL_PATTERN, feedback: 'email-error', validateOn: ['blur'] },
+            pin: { validate: value => value === '' || /^\d{4}$/.test(value) || 'Four digits' },
+            pin2: { matches: 'pin' }
+        }, Object.assign({ summary: 'summary' }, options));
+    }
+
+    it('validates live as the user types, counting characters rather than UTF-16 units', () => {
+        createValidator();
+        const name = document.getElementById('name');
+
+        type(name, '👍');
+        assert.equal(name.getAttribute('aria-invalid'), 'true');
+        assert.equal(document.getElementById('name-error').textContent, 'Must be at least 2 characters');
+        assert.ok(name.getAttribute('aria-describedby').includes('name-error'));
+
+        type(name, 'Ana-María');
+        assert.equal(name.hasAttribute('aria-invalid'), false);
+        assert.equal(document.getElementById('name-error').dataset.state, 'valid');
+    });
+
+    it('blocks submit, lists the errors and focuses the first invalid field', async () => {
+        const invalid = [];
+        createValidator({ onInvalid: errors => invalid.push(errors), onSubmit: () => assert.fail('submitted') });
+        type(document.getElementById('pin'), '12');
+        type(document.getElementById('pin2'), '13');
+
+        form.requestSubmit();
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(Object.keys(invalid[0]), ['name', 'email', 'pin', 'pin2']);
+        assert.equal(invalid[0].email, 'Email please');
+        assert.equal(invalid[0].pin, 'Four digits');
+        const summary = document.getElementById('summary');
+        assert.equal(summary.hidden, false);
+        assert.deepEqual(Array.from(summary.querySelectorAll('a'), link => link.getAttribute('href')),
+            ['#name', '#email', '#pin', '#pin2']);
+        assert.equal(document.activeElement, document.getElementById('name'));
+    });
+
+    it('hands the trimmed values to onSubmit once everything is valid', async () => {
+        let submitted = null;
+        createValidator({ onSubmit: data => { submitted = data; } });
+        type(document.getElementById('name'), '  Grace Hopper ');
+        type(document.getElementById('email'), 'grace@example.com');
+
+        form.requestSubmit();
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(submitted, { name: 'Grace Hopper', email: 'grace@example.com', pin: '', pin2: '' });
+        assert.equal(document.getElementById('summary').hidden, true);
+    });
+});
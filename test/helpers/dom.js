@@ -0,0 +1,138 @@
+// Test helpers
+// installDom() gives the modules in src/ a document to work on when they are
+// required under Node; loadPage() opens the whole page the way a browser does.
+// Neither touches the network: files are read from the repository.
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const FakeTimers = require('@sinonjs/fake-timers');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAGE_HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// Node has its own Event, EventTarget and AbortController, but jsdom only
+// accepts objects from its own window, so those are always taken from it
+const DOM_OVERRIDES = /^(Event|EventTarget|AbortController|AbortSignal|DOMException|\w+Event)$/;
+
+// A parsed index.html (scripts not run, so the message catalogs are there but
+// nothing is wired up) whose globals the modules see as their own.
+// Call it before requiring anything from src/.
+function installDom(options = {}) {
+    const dom = new JSDOM(options.html || PAGE_HTML, {
+        url: options.url || 'http://localhost/',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    stubBrowserApis(window);
+
+    Object.getOwnPropertyNames(window).forEach(key => {
+        if (key in globalThis && !DOM_OVERRIDES.test(key)) return;
+        Object.defineProperty(globalThis, key, {
+            configurable: true,
+            writable: true,
+            value: window[key]
+        });
+    });
+    return window;
+}
+
+// Fake timers for the modules installed by installDom(), which use Node's timers
+function installClock(options = {}) {
+    return FakeTimers.withGlobal(globalThis).install(Object.assign({
+        toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date']
+    }, options));
+}
+
+// Serves index.html's <script src> and other subresources from the repository
+class RepositoryLoader extends ResourceLoader {
+    fetch(url) {
+        const file = path.join(ROOT, decodeURIComponent(new URL(url).pathname));
+        const promise = fs.promises.readFile(file);
+        promise.abort = function() {};
+        return promise;
+    }
+}
+
+// Browser APIs the page uses that jsdom doesn't provide
+function stubBrowserApis(window) {
+    window.matchMedia = function(query) {
+        return {
+            matches: false,
+            media: query,
+            addEventListener: function() {},
+            removeEventListener: function() {}
+        };
+    };
+    window.scrollTo = function() {};
+    window.Element.prototype.scrollIntoView = function() {};
+    // Enough of CSS.escape for the IDs in the page
+    window.CSS = { escape: value => String(value).replace(/[^\w-]/g, char => `\\${char}`) };
+    window.HTMLCanvasElement.prototype.getContext = () => null;
+
+    // jsdom has no fetch API. Node's classes do the job for the mock server,
+    // minus the abort signal, which Node's Request only accepts from its own realm.
+    window.Request = class extends Request {
+        constructor(input, init = {}) {
+            super(input, Object.assign({}, init, { signal: undefined }));
+        }
+    };
+    window.Response = Response;
+    window.Headers = Headers;
+    // Requests the mock server doesn't answer fail as if the page were offline
+    window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+}
+
+// Loads index.html with every script, as a browser would, and resolves on
+// 'load' with { window, clock, consoleOutput, errors }. Timers (setTimeout,
+// Date, requestAnimationFrame...) are fake from the first script on, so
+// nothing moves until the test calls clock.tick(). consoleOutput collects what
+// the page writes to the console as { level, message }; errors collects
+// uncaught exceptions and what jsdom couldn't do.
+//   url         - page URL, e.g. with ?tab= or ?theme=
+//   storage     - localStorage entries set before any script runs
+//   beforeParse - called with the window before the page parses
+function loadPage(options = {}) {
+    const consoleOutput = [];
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => consoleOutput.push({ level: level, message: args.join(' ') }));
+    });
+    virtualConsole.on('jsdomError', err => errors.push(err));
+
+    let clock;
+    const dom = new JSDOM(PAGE_HTML, {
+        url: options.url || 'http://localhost/index.html',
+        runScripts: 'dangerously',
+        resources: new RepositoryLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse: function(window) {
+            clock = FakeTimers.withGlobal(window).install();
+            stubBrowserApis(window);
+            Object.entries(options.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            if (options.beforeParse) options.beforeParse(window);
+        }
+    });
+
+    return new Promise(resolve => {
+        dom.window.addEventListener('load', () => resolve({
+            window: dom.window,
+            clock: clock,
+            consoleOutput: consoleOutput,
+            errors: errors
+        }));
+    });
+}
+
+// Reach the page's top-level bindings (const/let aren't window properties)
+function pageGlobal(window, name) {
+    return window.eval(name);
+}
+
+module.exports = {
+    installDom: installDom,
+    installClock: installClock,
+    loadPage: loadPage,
+    pageGlobal: pageGlobal
+};
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+const catalogs = {
+    en: {
+        meta: { name: 'English' },
+        greeting: 'Hello, {name}!',
+        items: { '=0': 'No items', one: '{count} item', other: '{count} items' },
+        onlyEnglish: 'Fallback',
+        button: { label: 'Save' }
+    },
+    es: {
+        meta: { name: 'Español' },
+        greeting: '¡Hola, {name}!',
+        items: { '=0': 'Ningún elemento', one: '{count} elemento', other: '{count} elementos' },
+        button: { label: 'Guardar' }
+    },
+    ar: {
+        meta: { name: 'العربية', dir: 'rtl' },
+        items: { zero: 'لا عناصر', one: 'عنصر واحد', two: 'عنصران', few: '{count} عناصر', many: '{count} عنصرًا', other: '{count} عنصر' }
+    }
+};
+
+installDom({
+    html: '<!DOCTYPE html><html lang="en"><body>' + Object.keys(catalogs).map(code =>
+        `<script type="application/json" data-i18n-catalog="${code}">${JSON.stringify(catalogs[code])}</script>`).join('') +
+        '<button data-i18n="button.label" data-i18n-attr="title:greeting">Save</button></body></html>'
+});
+const { createI18n, i18n, t } = require('../src/i18n');
+
+describe('createI18n', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('interpolates params and formats numbers for the locale', () => {
+        const messages = createI18n({ defaultLocale: 'en' });
+        assert.equal(messages.t('greeting', { name: 'Ada' }), 'Hello, Ada!');
+        assert.equal(messages.t('items', { count: 1234 }), '1,234 items');
+        assert.equal(messages.t('greeting'), 'Hello, {name}!');
+    });
+
+    it('picks plural forms, exact counts first', () => {
+        const messages = createI18n();
+        assert.equal(messages.t('items', { count: 0 }), 'No items');
+        assert.equal(messages.t('items', { count: 1 }), '1 item');
+
+        messages.setLocale('ar');
+        assert.equal(messages.t('items', { count: 2 }), 'عنصران');
+        assert.equal(messages.t('items', { count: 3 }), `${messages.formatNumber(3)} عناصر`);
+        assert.equal(messages.t('items', { count: 11 }), `${messages.formatNumber(11)} عنصرًا`);
+    });
+
+    it('falls back to the default locale, then to the key with one warning', () => {
+        const warn = mock.method(console, 'warn', () => {});
+        const messages = createI18n();
+        messages.setLocale('es');
+
+        assert.equal(messages.t('onlyEnglish'), 'Fallback');
+        assert.equal(messages.t('nope.nothing'), 'nope.nothing');
+        assert.equal(messages.t('nope.nothing'), 'nope.nothing');
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /missing message "nope\.nothing"/);
+        warn.mock.restore();
+    });
+
+    it('switches language: saves it, sets lang/dir and re-renders localized elements', () => {
+        const messages = createI18n();
+        const button = document.querySelector('button');
+        const status = document.createElement('p');
+        document.body.appendChild(status);
+        messages.localize(status, 'items', { count: 2 });
+
+        const events = [];
+        document.addEventListener('localechange', e => events.push(e.detail), { once: true });
+        messages.setLocale('es-MX');
+
+        assert.equal(messages.getLocale(), 'es');
+        assert.equal(localStorage.getItem('locale-preference'), 'es');
+        assert.equal(document.documentElement.lang, 'es');
+        assert.equal(button.textContent, 'Guardar');
+        assert.equal(button.title, '¡Hola, {name}!');
+        assert.equal(status.textContent, '2 elementos');
+        assert.deepEqual(events, [{ locale: 'es', previousLocale: 'en', dir: 'ltr' }]);
+
+        messages.setLocale('ar');
+        assert.equal(document.documentElement.dir, 'rtl');
+        assert.throws(() => messages.setLocale('fr'), /no catalog for locale "fr"/);
+        status.remove();
+    });
+
+    it('starts in the saved language and lists the catalogs', () => {
+        localStorage.setItem('locale-preference', 'es');
+        const messages = createI18n();
+        assert.equal(messages.getLocale(), 'es');
+        assert.deepEqual(messages.getLocales().map(locale => locale.name), ['English', 'Español', 'العربية']);
+    });
+
+    it('needs a catalog for the default locale', () => {
+        assert.throws(() => createI18n({ defaultLocale: 'de' }), /no catalog for the default locale "de"/);
+    });
+
+    it('shares one instance through t()', () => {
+        i18n.setLocale('en');
+        assert.equal(t('greeting', { name: 'Grace' }), 'Hello, Grace!');
+        assert.equal(i18n.formatList(['a', 'b', 'c']), 'a, b, and c');
+    });
+});
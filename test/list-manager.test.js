@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom, installClock } = require('./helpers/dom');
+
+installDom();
+const { createListManager } = require('../src/list-manager');
+const { eventLog } = require('../src/event-log');
+
+describe('createListManager', () => {
+    let clock;
+    let controller;
+    let list;
+
+    beforeEach(() => {
+        clock = installClock();
+        controller = new AbortController();
+        localStorage.clear();
+        document.body.replaceChildren();
+        list = document.createElement('ul');
+        list.id = 'test-list';
+        list.innerHTML = '<li>A</li><li>B</li><li>C</li>';
+        document.body.appendChild(list);
+    });
+
+    afterEach(() => {
+        controller.abort();
+        clock.uninstall();
+    });
+
+    function texts(manager) {
+        return manager.getItems().map(item => item.text);
+    }
+
+    function undoLast() {
+        const actions = document.querySelectorAll('.toast-action');
+        actions[actions.length - 1].click();
+    }
+
+    it('puts back only the removed item, keeping later changes', () => {
+        const manager = createListManager(list, { signal: controller.signal });
+        const [a, b, c] = manager.getItems();
+
+        manager.remove(b.id);
+        const d = manager.add('D');
+        manager.rename(a.id, 'A2');
+        manager.move(c.id, 0);
+        undoLast();
+
+        assert.deepEqual(texts(manager), ['C', 'B', 'A2', 'D']);
+        assert.equal(d.id, 4);
+        assert.deepEqual(JSON.parse(localStorage.getItem('list:test-list')).items.map(item => item.text),
+            ['C', 'B', 'A2', 'D']);
+    });
+
+    it('puts cleared items back ahead of the ones added since', () => {
+        const manager = createListManager(list, { signal: controller.signal });
+        manager.clear();
+        manager.add('New');
+        undoLast();
+
+        assert.deepEqual(texts(manager), ['A', 'B', 'C', 'New']);
+        clock.tick(500);
+        assert.deepEqual(Array.from(list.querySelectorAll('.item-label'), label => label.textContent),
+            ['A', 'B', 'C', 'New']);
+    });
+
+    it('keeps working, with a warning in the log, when the list cannot be saved', t => {
+        t.mock.method(Storage.prototype, 'setItem', () => {
+            throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        });
+        t.mock.method(console, 'warn', () => {});
+        const manager = createListManager(list, { signal: controller.signal });
+
+        manager.add('D');
+        assert.deepEqual(texts(manager), ['A', 'B', 'C', 'D']);
+        const entry = eventLog.getEntries().at(-1);
+        assert.equal(entry.category, 'list');
+        assert.equal(entry.severity, 'warning');
+        assert.equal(entry.message, 'List could not be saved: The quota has been exceeded.');
+    });
+
+    it('cancels the pending removal renders when torn down', () => {
+        const manager = createListManager(list, { signal: controller.signal });
+        manager.remove(manager.getItems()[0].id);
+        manager.clear();
+        const rendered = Array.from(list.children);
+
+        controller.abort();
+        clock.tick(1000);
+        assert.deepEqual(Array.from(list.children), rendered);
+        assert.equal(rendered[2].style.opacity, '');
+    });
+});
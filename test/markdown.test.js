@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+installDom();
+const { renderMarkdown } = require('../src/markdown');
+
+function render(text) {
+    const container = document.createElement('div');
+    container.append(renderMarkdown(text));
+    return container.innerHTML;
+}
+
+describe('renderMarkdown', () => {
+    it('renders headings, paragraphs with line breaks, lists and quotes', () => {
+        assert.equal(render('# Title\nfirst\nsecond\n\nnext'), '<h4>Title</h4><p>first<br>second</p><p>next</p>');
+        assert.equal(render('- one\n* two\n1. first'), '<ul><li>one</li><li>two</li></ul><ol><li>first</li></ol>');
+        assert.equal(render('> quoted\n> more'), '<blockquote>quoted<br>more</blockquote>');
+    });
+
+    it('renders inline emphasis, code and nested markup', () => {
+        assert.equal(render('**bold** and *it* and `a*b*`'), '<p><strong>bold</strong> and <em>it</em> and <code>a*b*</code></p>');
+        assert.equal(render('__strong _inner_ text__'), '<p><strong>strong <em>inner</em> text</strong></p>');
+    });
+
+    it('leaves underscores inside words alone', () => {
+        assert.equal(render('call snake_case_name now'), '<p>call snake_case_name now</p>');
+    });
+
+    it('only links http, https and mailto URLs', () => {
+        assert.equal(render('[docs](https://example.com/a)'),
+            '<p><a href="https://example.com/a" target="_blank" rel="noopener noreferrer">docs</a></p>');
+        assert.equal(render('[bad](javascript:alert(1))'), '<p>[bad](javascript:alert(1))</p>');
+        assert.equal(render('[relative](/page)'), '<p>[relative](/page)</p>');
+    });
+
+    it('never turns typed HTML into elements', () => {
+        const container = document.createElement('div');
+        container.append(renderMarkdown('<img src=x onerror=alert(1)> **<b>hi</b>**'));
+        assert.equal(container.querySelector('img, b'), null);
+        assert.equal(container.textContent, '<img src=x onerror=alert(1)> <b>hi</b>');
+    });
+});
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom, installClock } = require('./helpers/dom');
+
+installDom();
+const { createMessageEditor } = require('../src/message-editor');
+
+const MAX = 100;
+
+// What the browser does for typing or pasting text: beforeinput (which the
+// editor may cancel), then the edit and the input event
+function insert(textarea, text, inputType = 'insertText') {
+    const init = { inputType: inputType, data: text, bubbles: true, cancelable: true };
+    if (!textarea.dispatchEvent(new InputEvent('beforeinput', init))) return false;
+    const start = textarea.selectionStart;
+    textarea.setRangeText(text, start, textarea.selectionEnd, 'end');
+    textarea.dispatchEvent(new InputEvent('input', init));
+    return true;
+}
+
+describe('createMessageEditor', () => {
+    let clock;
+    let controller;
+    let textarea;
+    let counter;
+
+    beforeEach(() => {
+        clock = installClock();
+        controller = new AbortController();
+        document.body.innerHTML = `
+            <form>
+                <textarea id="message"></textarea>
+                <p id="counter"></p>
+                <div id="preview" hidden></div>
+                <button type="button" id="preview-toggle" aria-pressed="false">Preview</button>
+            </form>`;
+        textarea = document.getElementById('message');
+        counter = document.getElementById('counter');
+    });
+
+    afterEach(() => {
+        controller.abort();
+        clock.uninstall();
+    });
+
+    function createEditor(options = {}) {
+        return createMessageEditor(textarea, Object.assign({
+            maxLength: MAX,
+            counter: 'counter',
+            preview: 'preview',
+            previewToggle: 'preview-toggle',
+            signal: controller.signal
+        }, options));
+    }
+
+    it(`refuses typing past ${MAX} characters in hard mode`, () => {
+        const states = [];
+        const editor = createEditor({ onStateChange: state => states.push(state) });
+        assert.equal(counter.textContent, `${MAX} characters left`);
+
+        textarea.focus();
+        assert.ok(insert(textarea, 'a'.repeat(MAX - 1)));
+        assert.equal(counter.textContent, '1 character left');
+        assert.ok(insert(textarea, 'b'));
+        assert.equal(counter.dataset.state, 'full');
+
+        assert.equal(insert(textarea, 'c'), false);
+        assert.equal(textarea.value.length, MAX);
+        assert.equal(editor.getRemaining(), 0);
+        assert.deepEqual(states, ['warning', 'full']);
+    });
+
+    it('cuts a paste short at the cap and puts the caret after what fit', () => {
+        const trims = [];
+        createEditor({ onTrim: info => trims.push(info) });
+        textarea.value = 'start end';
+        textarea.setSelectionRange(6, 6);
+
+        // insertFromPaste isn't cancelled up front: the part that fits is kept
+        textarea.dispatchEvent(new InputEvent('beforeinput', { inputType: 'insertFromPaste', bubbles: true }));
+        textarea.setRangeText('x'.repeat(120), 6, 6, 'end');
+        textarea.dispatchEvent(new InputEvent('input', { inputType: 'insertFromPaste', bubbles: true }));
+
+        assert.equal(textarea.value, `start ${'x'.repeat(MAX - 9)}end`);
+        assert.equal(textarea.value.length, MAX);
+        assert.equal(textarea.selectionStart, MAX - 3);
+        assert.deepEqual(trims, [{ attempted: 120, kept: MAX - 9 }]);
+    });
+
+    it('counts characters, not UTF-16 units, and never splits an emoji', () => {
+        createEditor();
+        textarea.value = '😀'.repeat(MAX - 1);
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+        textarea.dispatchEvent(new InputEvent('beforeinput', { inputType: 'insertFromDrop', bubbles: true }));
+        textarea.setRangeText('🎉🎉🎉', textarea.value.length, textarea.value.length, 'end');
+        textarea.dispatchEvent(new InputEvent('input', { inputType: 'insertFromDrop', bubbles: true }));
+
+        assert.equal(Array.from(textarea.value).length, MAX);
+        assert.ok(textarea.value.endsWith('😀🎉'));
+        assert.equal(counter.dataset.state, 'full');
+    });
+
+    it('trims IME input once the composition ends', () => {
+        createEditor();
+        textarea.value = 'a'.repeat(MAX - 1);
+        textarea.setSelectionRange(MAX - 1, MAX - 1);
+
+        textarea.dispatchEvent(new CompositionEvent('compositionstart'));
+        textarea.setRangeText('日本語', MAX - 1, MAX - 1, 'end');
+        textarea.dispatchEvent(new InputEvent('input', { inputType: 'insertCompositionText', isComposing: true }));
+        assert.equal(Array.from(textarea.value).length, MAX + 2);
+
+        textarea.dispatchEvent(new CompositionEvent('compositionend'));
+        assert.equal(textarea.value, `${'a'.repeat(MAX - 1)}日`);
+    });
+
+    it('lets text past the limit in and flags it in soft mode', () => {
+        const editor = createEditor({ mode: 'soft' });
+        textarea.value = 'a'.repeat(MAX);
+        textarea.setSelectionRange(MAX, MAX);
+
+        assert.ok(insert(textarea, 'bc'));
+        assert.equal(textarea.value.length, MAX + 2);
+        assert.equal(counter.dataset.state, 'over');
+        assert.equal(counter.textContent, '2 characters over the limit');
+        assert.equal(editor.getState(), 'over');
+
+        // Back to hard mode: deleting still works, typing doesn't
+        editor.setMode('hard');
+        assert.equal(insert(textarea, 'd'), false);
+        textarea.value = textarea.value.slice(0, -1);
+        textarea.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward' }));
+        assert.equal(textarea.value.length, MAX + 1);
+    });
+
+    it('renders the Markdown preview while it is shown', () => {
+        const editor = createEditor();
+        const preview = document.getElementById('preview');
+        document.getElementById('preview-toggle').click();
+        assert.equal(preview.hidden, false);
+        assert.equal(document.getElementById('preview-toggle').getAttribute('aria-pressed'), 'true');
+
+        insert(textarea, '**bold**');
+        assert.equal(preview.querySelector('strong'), null);
+        clock.tick(150);
+        assert.equal(preview.querySelector('strong').textContent, 'bold');
+
+        assert.equal(editor.togglePreview(), false);
+        assert.equal(preview.hidden, true);
+    });
+
+    it('needs a maxLength and a known mode', () => {
+        assert.throws(() => createMessageEditor(textarea, {}), /maxLength must be a positive number/);
+        assert.throws(() => createEditor({ mode: 'strict' }), /unknown mode "strict"/);
+    });
+});
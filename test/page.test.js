@@ -0,0 +1,284 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, pageGlobal } = require('./helpers/dom');
+
+const KONAMI = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
+
+// Messages the page logged in a category, oldest first (as a Node array, so
+// deepEqual doesn't trip over the page's Array prototype)
+function logged(window, category) {
+    return Array.from(pageGlobal(window, 'eventLog').getEntries())
+        .filter(entry => entry.category === category)
+        .map(entry => entry.message);
+}
+
+// What the Event Log section shows
+function logView(window) {
+    return Array.from(window.document.querySelectorAll('#event-log-list .log-entry'), item => item.textContent);
+}
+
+function press(window, key, init = {}, target = window.document.body) {
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, init));
+    target.dispatchEvent(event);
+    return event;
+}
+
+function type(window, element, value) {
+    element.value = value;
+    element.dispatchEvent(new window.Event('input', { bubbles: true }));
+    element.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+describe('page', () => {
+    let page;
+
+    afterEach(() => {
+        page.window.close();
+        assert.deepEqual(page.errors.map(err => err.message), []);
+    });
+
+    it('counts clicks, flashes on double-click and undoes with Ctrl+Z', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+        const document = window.document;
+        const button = document.getElementById('click-button');
+
+        button.click();
+        button.click();
+        assert.equal(document.getElementById('click-count').textContent, '2');
+        assert.deepEqual(logged(window, 'click'), ['Click count: 1', 'Click count: 2']);
+        assert.ok(logView(window).some(text => text.endsWith('Click count: 2')));
+
+        const doubleClick = document.getElementById('double-click-button');
+        doubleClick.dispatchEvent(new window.MouseEvent('dblclick', { bubbles: true }));
+        assert.ok(doubleClick.classList.contains('flash'));
+        assert.equal(document.querySelector('.toast-success .toast-message').textContent, 'Double-click detected! 🎯');
+        clock.tick(500);
+        assert.ok(!doubleClick.classList.contains('flash'));
+        assert.equal(logged(window, 'click').at(-1), 'Double-click detected');
+
+        press(window, 'z', { ctrlKey: true });
+        assert.equal(document.getElementById('click-count').textContent, '1');
+        assert.match(logged(window, 'shortcut').at(-1), /^Undo: /);
+    });
+
+    it('reacts to the Konami code', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+        const document = window.document;
+
+        KONAMI.forEach(key => {
+            press(window, key);
+            clock.tick(100);
+        });
+
+        assert.ok(document.body.classList.contains('konami'));
+        assert.deepEqual(logged(window, 'shortcut'), ['Konami Code activated']);
+        assert.equal(document.querySelector('.app-dialog-message').textContent, 'You found the easter egg!');
+
+        clock.tick(5000);
+        assert.ok(!document.body.classList.contains('konami'));
+    });
+
+    it('ignores a Konami code typed too slowly', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+
+        KONAMI.forEach(key => {
+            press(window, key);
+            clock.tick(1500);
+        });
+
+        assert.ok(!window.document.body.classList.contains('konami'));
+        assert.deepEqual(logged(window, 'shortcut'), []);
+    });
+
+    it('reports every invalid field when an empty form is submitted', async () => {
+        page = await loadPage();
+        const { window, clock, consoleOutput } = page;
+        const document = window.document;
+
+        document.getElementById('demo-form').requestSubmit();
+        await clock.tickAsync(0);
+
+        const summary = document.getElementById('form-error-summary');
+        assert.ok(!summary.hidden);
+        assert.equal(summary.querySelectorAll('li').length, 5);
+        assert.equal(document.getElementById('name-input').getAttribute('aria-invalid'), 'true');
+        assert.equal(logged(window, 'form').at(-1), '❌ Please fix validation errors and try again');
+        // Errors are mirrored to the console as well
+        assert.ok(consoleOutput.some(output =>
+            output.level === 'error' && output.message.includes('Please fix validation errors')));
+    });
+
+    it('submits a valid form to the mock server', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+        const document = window.document;
+        const submitButton = document.querySelector('#demo-form [type="submit"]');
+
+        // jsdom has no IndexedDB: with no queue to flush, loading stays quiet
+        await clock.tickAsync(0);
+        assert.deepEqual(logged(window, 'form'), []);
+
+        type(window, document.getElementById('name-input'), 'Ada Lovelace');
+        type(window, document.getElementById('email-input'), 'ada@example.com');
+        type(window, document.getElementById('password-input'), 'Analytical-Engine-1843');
+        type(window, document.getElementById('confirm-password-input'), 'Analytical-Engine-1843');
+        type(window, document.getElementById('message-textarea'), 'Notes on the engine, **with** comments.');
+        document.getElementById('demo-form').requestSubmit();
+        await clock.tickAsync(0);
+
+        assert.equal(document.getElementById('form-error-summary').hidden, true);
+        assert.ok(submitButton.disabled);
+        assert.ok(logged(window, 'form').includes('📧 Data validated with custom JavaScript validation'));
+        // The password never makes it into the log
+        assert.ok(!JSON.stringify(pageGlobal(window, 'eventLog').getEntries()).includes('Analytical-Engine'));
+
+        await clock.tickAsync(1000);
+
+        assert.ok(!submitButton.disabled);
+        assert.match(logged(window, 'form').at(-1), /^✅ Form submitted successfully! \(id: \w+\)$/);
+        assert.equal(document.querySelector('.toast-success .toast-message').textContent,
+            'Form submitted successfully! All custom validations passed.');
+        assert.equal(document.getElementById('name-input').value, '');
+    });
+
+    it('switches tabs by click and arrow keys, and can veto a switch', async () => {
+        page = await loadPage();
+        const { window } = page;
+        const document = window.document;
+        const tabs = document.querySelectorAll('.tab-button');
+
+        tabs[1].click();
+        assert.equal(tabs[1].getAttribute('aria-selected'), 'true');
+        assert.ok(document.getElementById('tab2').classList.contains('active'));
+        assert.ok(!document.getElementById('tab1').classList.contains('active'));
+        assert.equal(window.location.search, '?tab=tab2');
+        assert.equal(logged(window, 'tabs').at(-1), 'Tab switched to: Click Events');
+
+        tabs[1].focus();
+        press(window, 'ArrowRight', {}, tabs[1]);
+        assert.equal(tabs[2].getAttribute('aria-selected'), 'true');
+        assert.equal(document.activeElement, tabs[2]);
+
+        document.querySelector('.tab-buttons').addEventListener('tabchange', e => e.preventDefault());
+        press(window, 'Home', {}, tabs[2]);
+        assert.equal(tabs[2].getAttribute('aria-selected'), 'true');
+        assert.equal(document.activeElement, tabs[2]);
+    });
+
+    it('goes back to the previous tab without undoing the theme', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+        const document = window.document;
+        const themeSelect = document.getElementById('theme-select');
+
+        type(window, themeSelect, 'light');
+        document.querySelector('.tab-button[data-tab="tab2"]').click();
+        type(window, themeSelect, 'dark');
+        assert.equal(window.location.search, '?theme=dark&tab=tab2');
+
+        window.history.back();
+        await clock.runToLastAsync();
+
+        assert.equal(document.querySelector('.tab-button[data-tab="tab1"]').getAttribute('aria-selected'), 'true');
+        assert.equal(document.documentElement.dataset.theme, 'dark');
+        assert.equal(themeSelect.value, 'dark');
+        assert.equal(window.location.search, '?theme=dark');
+    });
+
+    it('opens the dropdown, picks an option and closes on Escape', async () => {
+        page = await loadPage();
+        const { window } = page;
+        const document = window.document;
+        const toggle = document.getElementById('dropdown-toggle');
+
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.equal(logged(window, 'dropdown').at(-1), 'Dropdown opened');
+
+        document.querySelector('.dropdown-item[data-value="option2"]').click();
+        assert.equal(document.getElementById('dropdown-value').value, 'option2');
+        assert.equal(document.getElementById('dropdown-selection').textContent, 'Selected: Option 2 - Click Events');
+        assert.ok(logged(window, 'dropdown').includes('Dropdown selection: Option 2 - Click Events'));
+        assert.equal(window.location.search, '?option=option2');
+
+        toggle.click();
+        press(window, 'Escape', {}, document.activeElement);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(logged(window, 'dropdown').at(-1), 'Dropdown closed');
+    });
+
+    it('opens FAQ answers and searches the questions', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+        const document = window.document;
+        await clock.tickAsync(0);
+
+        const toggle = document.querySelector('.faq-toggle');
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.deepEqual(logged(window, 'faq'), ['FAQ opened: What is JavaScript?']);
+
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(logged(window, 'faq').at(-1), 'FAQ closed: What is JavaScript?');
+
+        type(window, document.getElementById('faq-search'), 'events');
+        assert.equal(document.getElementById('faq-status').textContent, '');
+        await clock.tickAsync(150);
+        assert.match(document.getElementById('faq-status').textContent, /^\d+ matching questions?$/);
+        const matches = document.querySelectorAll('.faq-item:not(.no-match)');
+        assert.ok(matches.length > 0);
+        matches.forEach(item => assert.equal(item.querySelector('mark').textContent.toLowerCase(), 'events'));
+        document.querySelectorAll('.faq-item.no-match').forEach(item => assert.doesNotMatch(item.textContent, /events/i));
+    });
+
+    it('adds, removes and clears list items, with undo', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+        const document = window.document;
+        const items = () => Array.from(document.querySelectorAll('#dynamic-list .item-label'), label => label.textContent);
+
+        assert.deepEqual(items(), ['Item 1', 'Item 2', 'Item 3']);
+
+        document.getElementById('add-item').click();
+        assert.deepEqual(items(), ['Item 1', 'Item 2', 'Item 3', 'Item 4']);
+        assert.equal(logged(window, 'list').at(-1), 'Added Item 4');
+
+        document.querySelector('#dynamic-list li:first-child .delete-item').click();
+        clock.tick(500);
+        assert.deepEqual(items(), ['Item 2', 'Item 3', 'Item 4']);
+        assert.equal(logged(window, 'list').at(-1), 'Removed Item 1');
+
+        document.getElementById('clear-all').click();
+        clock.tick(500);
+        assert.deepEqual(items(), []);
+        assert.equal(logged(window, 'list').at(-1), 'Cleared 3 items');
+        assert.deepEqual(JSON.parse(window.localStorage.getItem('dynamic-list:items')).items, []);
+
+        const toast = Array.from(document.querySelectorAll('.toast'))
+            .find(element => element.textContent.includes('Cleared 3 items'));
+        toast.querySelector('.toast-action').click();
+        assert.deepEqual(items(), ['Item 2', 'Item 3', 'Item 4']);
+        assert.equal(logged(window, 'list').at(-1), 'Undo: Cleared 3 items');
+    });
+
+    it('starts from the URL and the saved language', async () => {
+        page = await loadPage({
+            url: 'http://localhost/index.html?tab=tab3',
+            storage: { 'locale-preference': 'es' }
+        });
+        const { window } = page;
+        const document = window.document;
+
+        assert.equal(document.documentElement.lang, 'es');
+        assert.equal(document.querySelector('.tab-button[data-tab="tab3"]').getAttribute('aria-selected'), 'true');
+
+        document.getElementById('click-button').click();
+        assert.deepEqual(logged(window, 'click'), ['Número de clics: 1']);
+        document.getElementById('mini-mouse-target').dispatchEvent(new window.MouseEvent('mouseenter'));
+        assert.deepEqual(logged(window, 'demo'), ['Mini demo del ratón: evento mouseenter']);
+    });
+});
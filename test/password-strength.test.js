@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimatePasswordStrength, PASSWORD_CONFIG } = require('../src/password-strength');
+
+describe('estimatePasswordStrength', () => {
+    it('scores an empty password 0 without a warning', () => {
+        assert.deepEqual(estimatePasswordStrength(''), { score: 0, bits: 0, warning: null });
+    });
+
+    it('gives common passwords 0 whatever their length or suffix', () => {
+        assert.equal(estimatePasswordStrength('qwerty').warning, 'common');
+        assert.deepEqual(estimatePasswordStrength('Password1!'), { score: 0, bits: 0, warning: 'common' });
+        assert.equal(estimatePasswordStrength('Contraseña2024').warning, 'common');
+    });
+
+    it('names the pattern that makes a password guessable', () => {
+        assert.equal(estimatePasswordStrength('aaaaaaaa').warning, 'repeat');
+        assert.equal(estimatePasswordStrength('abcdefgh1').warning, 'sequence');
+        assert.equal(estimatePasswordStrength('zxcvxyz!').warning, 'sequence');
+        assert.equal(estimatePasswordStrength('lowercase').warning, 'variety');
+    });
+
+    it('counts parts of the name and email as guessable', () => {
+        const personal = ['Ada Lovelace', 'ada@example.com'];
+        const withName = estimatePasswordStrength('ada-lovelace-99', personal);
+        const without = estimatePasswordStrength('ada-lovelace-99');
+
+        assert.equal(withName.warning, 'personal');
+        assert.ok(withName.bits < without.bits);
+        assert.ok(withName.score < PASSWORD_CONFIG.minScore);
+    });
+
+    it('rates long, varied passwords strong, in any script', () => {
+        assert.equal(estimatePasswordStrength('Tr0ub4dor&3').score, 3);
+        assert.deepEqual(estimatePasswordStrength('correct horse battery staple'), { score: 4, bits: 165, warning: null });
+        assert.equal(estimatePasswordStrength('пароль-Секрет-42').score, 4);
+    });
+
+    it('accepts "fair" passwords and rejects weaker ones', () => {
+        assert.ok(estimatePasswordStrength('zx9#Lq!v').score >= PASSWORD_CONFIG.minScore);
+        assert.ok(estimatePasswordStrength('zx9#L').score < PASSWORD_CONFIG.minScore);
+    });
+});
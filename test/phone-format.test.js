@@ -0,0 +1,62 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+installDom();
+const { formatPhoneNumber, applyPhoneFormat, PHONE_CONFIG } = require('../src/phone-format');
+
+describe('formatPhoneNumber', () => {
+    it('formats national numbers as they are typed', () => {
+        assert.equal(formatPhoneNumber('5'), '5');
+        assert.equal(formatPhoneNumber('555'), '555');
+        assert.equal(formatPhoneNumber('5551'), '(555) 1');
+        assert.equal(formatPhoneNumber('5551234'), '(555) 123-4');
+        assert.equal(formatPhoneNumber('5551234567'), '(555) 123-4567');
+    });
+
+    it('reads whatever separators the user typed', () => {
+        assert.equal(formatPhoneNumber('555.123.4567'), '(555) 123-4567');
+        assert.equal(formatPhoneNumber('(555) 123-4567'), '(555) 123-4567');
+        assert.equal(formatPhoneNumber('phone: abc'), '');
+    });
+
+    it('keeps the grouping of international numbers, with single spaces', () => {
+        assert.equal(formatPhoneNumber('+44 20 7946 0958'), '+44 20 7946 0958');
+        assert.equal(formatPhoneNumber('+1-555--123'), '+1 555 123');
+    });
+
+    it(`stops at ${PHONE_CONFIG.maxDigits} digits`, () => {
+        assert.equal(formatPhoneNumber('1234567890123456789'), '123456789012345');
+        assert.equal(formatPhoneNumber('+12345678901234567'), '+123456789012345');
+        assert.equal(formatPhoneNumber('+1 234 567 890 123 45 67').replace(/\D/g, '').length, PHONE_CONFIG.maxDigits);
+    });
+});
+
+describe('applyPhoneFormat', () => {
+    let input;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<input id="phone" type="tel">';
+        input = document.getElementById('phone');
+        input.focus();
+    });
+
+    it('keeps the caret after the same digit', () => {
+        input.value = '5551234';
+        input.setSelectionRange(4, 4);
+        applyPhoneFormat(input);
+
+        assert.equal(input.value, '(555) 123-4');
+        // After "5551", past the ") " the formatting put in front of the caret
+        assert.equal(input.selectionStart, 7);
+    });
+
+    it('leaves a value that is already formatted alone', () => {
+        input.value = '(555) 123-4567';
+        input.setSelectionRange(3, 3);
+        applyPhoneFormat(input);
+
+        assert.equal(input.value, '(555) 123-4567');
+        assert.equal(input.selectionStart, 3);
+    });
+});
@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom, installClock } = require('./helpers/dom');
+
+installDom();
+const { createSessionRecorder, createSessionPlayer } = require('../src/session-recorder');
+
+describe('createSessionRecorder', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <input id="name">
+            <ul><li><button>First</button></li><li><button>Second</button></li></ul>
+            <div id="controls"><button id="record">Record</button></div>`;
+    });
+
+    // Scripted events aren't trusted, so only what jsdom itself fires as user
+    // input (focus changes) can be recorded here
+    it('records user input with selectors that find the targets again', () => {
+        const counts = [];
+        const recorder = createSessionRecorder({ onEvent: count => counts.push(count) });
+        recorder.start();
+        assert.ok(recorder.isRecording());
+
+        document.getElementById('name').focus();
+        document.querySelectorAll('li button')[1].focus();
+        const trace = recorder.stop();
+
+        assert.equal(trace.version, 1);
+        assert.equal(trace.url, window.location.href);
+        assert.deepEqual(trace.events.map(event => [event.type, event.target]), [
+            ['focus', '#name'],
+            ['blur', '#name'],
+            ['focus', 'body:nth-of-type(1) > ul:nth-of-type(1) > li:nth-of-type(2) > button:nth-of-type(1)']
+        ]);
+        assert.deepEqual(counts, [1, 2, 3]);
+        assert.equal(recorder.isRecording(), false);
+    });
+
+    it('skips its own controls, scripted events and anything after stop()', () => {
+        const recorder = createSessionRecorder({ ignoreWithin: document.getElementById('controls') });
+        recorder.start();
+        document.getElementById('record').focus();
+        document.getElementById('name').dispatchEvent(new Event('input', { bubbles: true }));
+        document.querySelector('li button').click();
+        const trace = recorder.stop();
+        document.getElementById('name').focus();
+
+        assert.deepEqual(trace.events, []);
+    });
+});
+
+describe('createSessionPlayer', () => {
+    let clock;
+    let seen;
+
+    beforeEach(() => {
+        clock = installClock();
+        document.body.innerHTML = `
+            <form id="form"><input id="name"><input id="agree" type="checkbox"><button id="send">Send</button></form>`;
+        seen = [];
+        ['click', 'input', 'change', 'keydown', 'submit'].forEach(type => {
+            document.getElementById('form').addEventListener(type, function(e) {
+                seen.push(`${type}:${e.target.id}${e.key ? `:${e.key}` : ''}`);
+                if (type === 'submit') e.preventDefault();
+            });
+        });
+    });
+
+    afterEach(() => clock.uninstall());
+
+    const trace = {
+        version: 1,
+        events: [
+            { t: 0, type: 'keydown', target: '#name', props: { key: 'a', code: 'KeyA' } },
+            { t: 100, type: 'input', target: '#name', props: { value: 'Ada' } },
+            { t: 150, type: 'change', target: '#agree', props: { value: 'on', checked: true } },
+            { t: 400, type: 'click', target: '#send', props: { clientX: 5, clientY: 5, button: 0 } },
+            { t: 410, type: 'submit', target: '#form', props: {} }
+        ]
+    };
+
+    it('replays the events at their recorded pace', () => {
+        const progress = [];
+        let completed = false;
+        const player = createSessionPlayer(trace, {
+            onProgress: (index, total, playing) => progress.push([index, total, playing]),
+            onComplete: () => {
+                completed = true;
+            }
+        });
+
+        player.play();
+        clock.tick(0);
+        assert.deepEqual(seen, ['keydown:name:a']);
+        clock.tick(100);
+        assert.equal(document.getElementById('name').value, 'Ada');
+        clock.tick(50);
+        assert.equal(document.getElementById('agree').checked, true);
+        clock.tick(260);
+
+        // The click on the submit button doesn't submit by itself; the recorded submit does
+        assert.deepEqual(seen, ['keydown:name:a', 'input:name', 'change:agree', 'click:send', 'submit:form']);
+        assert.ok(completed);
+        assert.deepEqual(progress.at(-1), [5, 5, false]);
+        assert.deepEqual(player.getPosition(), { index: 5, total: 5 });
+    });
+
+    it('steps, pauses and plays faster', () => {
+        const player = createSessionPlayer(trace);
+        assert.equal(player.step(), true);
+        assert.deepEqual(seen, ['keydown:name:a']);
+
+        player.setSpeed(2);
+        player.play();
+        clock.tick(50);
+        assert.equal(seen.length, 2);
+        player.pause();
+        clock.tick(1000);
+        assert.equal(seen.length, 2);
+        assert.equal(player.isPlaying(), false);
+
+        player.stop();
+        assert.equal(player.step(), false);
+    });
+
+    it('reports events whose target is gone and rejects unknown traces', () => {
+        const missing = [];
+        const player = createSessionPlayer({ version: 1, events: [{ t: 0, type: 'click', target: '#gone' }] }, {
+            onMissingTarget: record => missing.push(record.target)
+        });
+        player.step();
+        assert.deepEqual(missing, ['#gone']);
+
+        assert.throws(() => createSessionPlayer({ version: 2, events: [] }), /unsupported or malformed session trace/);
+        assert.throws(() => createSessionPlayer(null), /unsupported or malformed/);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom, installClock } = require('./helpers/dom');
+
+installDom();
+const { createShortcutManager } = require('../src/shortcuts');
+
+const KONAMI = 'ArrowUp ArrowUp ArrowDown ArrowDown ArrowLeft ArrowRight ArrowLeft ArrowRight b a';
+
+function press(key, init = {}, target = document.body) {
+    const event = new KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, init));
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('createShortcutManager', () => {
+    let clock;
+    let controller;
+    let shortcuts;
+    let fired;
+
+    beforeEach(() => {
+        clock = installClock();
+        controller = new AbortController();
+        shortcuts = createShortcutManager({ signal: controller.signal });
+        fired = [];
+    });
+
+    afterEach(() => {
+        controller.abort();
+        clock.uninstall();
+        document.body.textContent = '';
+    });
+
+    it('fires chords, ignoring the order modifiers are written in', () => {
+        shortcuts.register({ keys: 'shift+ctrl+k', handler: () => fired.push('chord') });
+
+        press('k', { ctrlKey: true });
+        const event = press('K', { ctrlKey: true, shiftKey: true });
+
+        assert.deepEqual(fired, ['chord']);
+        assert.equal(event.defaultPrevented, true);
+    });
+
+    it('fires the Konami code, even after a false start', () => {
+        shortcuts.register({ id: 'konami', keys: KONAMI, handler: () => fired.push('konami') });
+
+        ['ArrowUp', 'ArrowDown'].concat(KONAMI.split(' ')).forEach(key => {
+            press(key);
+            clock.tick(200);
+        });
+
+        assert.deepEqual(fired, ['konami']);
+    });
+
+    it('forgets a sequence after a pause longer than sequenceTimeout', () => {
+        shortcuts.register({ keys: 'g g', handler: () => fired.push('top') });
+
+        press('g');
+        clock.tick(1001);
+        press('g');
+        assert.deepEqual(fired, []);
+
+        clock.tick(500);
+        press('g');
+        assert.deepEqual(fired, ['top']);
+    });
+
+    it('leaves text fields and keys other widgets handled alone', () => {
+        shortcuts.register({ keys: '?', handler: () => fired.push('help') });
+        shortcuts.register({ keys: 'Mod+Enter', inTextFields: true, handler: () => fired.push('send') });
+        const input = document.createElement('input');
+        document.body.appendChild(input);
+
+        press('?', { shiftKey: true }, input);
+        press('Enter', { ctrlKey: true, metaKey: false }, input);
+        input.addEventListener('keydown', e => e.preventDefault());
+        press('?', { shiftKey: true }, input);
+        document.body.dispatchEvent(new KeyboardEvent('keydown', { key: '?', bubbles: true }));
+
+        assert.deepEqual(fired, ['send', 'help']);
+    });
+
+    it('only fires scoped bindings inside their element', () => {
+        document.body.innerHTML = '<section id="a"><button>in</button></section><button id="out">out</button>';
+        shortcuts.register({ keys: 'n', within: '#a', handler: () => fired.push('scoped') });
+
+        press('n', {}, document.getElementById('out'));
+        press('n', {}, document.querySelector('#a button'));
+
+        assert.deepEqual(fired, ['scoped']);
+    });
+
+    it('rejects clashing bindings and lists the registered ones', () => {
+        shortcuts.register({ keys: 'g g', description: 'Top', handler: () => {} });
+
+        assert.throws(() => shortcuts.register({ keys: 'g', description: 'Go', handler: () => {} }),
+            /Shortcut conflict: "G" \(Go\) clashes with "G G" \(Top\)/);
+        assert.throws(() => shortcuts.register({ keys: 'Hyper+x', handler: () => {} }), /Unknown modifier "Hyper"/);
+        assert.deepEqual(shortcuts.getBindings(), [
+            { id: 'g g', keys: 'G G', description: 'Top', scope: 'Page', inTextFields: false }
+        ]);
+    });
+
+    it('stops listening when its signal aborts', () => {
+        shortcuts.register({ keys: 'x', handler: () => fired.push('x') });
+        controller.abort();
+        press('x');
+        assert.deepEqual(fired, []);
+    });
+});
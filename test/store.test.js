@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+installDom();
+const { createStore } = require('../src/store');
+const { eventLog } = require('../src/event-log');
+
+describe('createStore', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        history.replaceState(null, '', '/');
+    });
+
+    it('notifies the subscribers of the keys that changed', () => {
+        const store = createStore({ count: 0, tab: 'tab1' });
+        const changes = [];
+        store.subscribe('count', (state, change) => changes.push([state.count, change.keys, change.source]));
+
+        assert.equal(store.set({ count: 1 }), true);
+        assert.equal(store.set({ count: 1 }), false);
+        store.set({ tab: 'tab2' });
+
+        assert.deepEqual(changes, [[1, ['count'], 'set']]);
+        assert.deepEqual(store.getState(), { count: 1, tab: 'tab2' });
+    });
+
+    it('undoes and redoes steps, leaving history: false changes out', () => {
+        const store = createStore({ count: 0, keys: 0 });
+        store.set({ count: 1 });
+        store.set({ keys: 5 }, { history: false });
+        store.set({ count: 2 });
+
+        assert.deepEqual(store.undo(), ['count']);
+        assert.equal(store.get('count'), 1);
+        store.undo();
+        assert.equal(store.get('count'), 0);
+        assert.equal(store.get('keys'), 5);
+        assert.equal(store.undo(), null);
+
+        store.redo();
+        assert.equal(store.get('count'), 1);
+        assert.equal(store.canRedo(), true);
+        store.set({ count: 7 });
+        assert.equal(store.canRedo(), false);
+    });
+
+    it('persists keys to localStorage and restores them', () => {
+        const options = { persist: ['count'], storageKey: 'test-state' };
+        createStore({ count: 0, tab: 'tab1' }, options).set({ count: 3, tab: 'tab2' });
+
+        assert.deepEqual(JSON.parse(localStorage.getItem('test-state')), { count: 3 });
+        const restored = createStore({ count: 0, tab: 'tab1' }, options);
+        assert.equal(restored.get('count'), 3);
+        assert.equal(restored.get('tab'), 'tab1');
+        assert.equal(restored.restoredFrom('count'), 'storage');
+    });
+
+    it('logs a warning when the state cannot be saved', t => {
+        t.mock.method(Storage.prototype, 'setItem', () => {
+            throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        });
+        t.mock.method(console, 'warn', () => {});
+        const store = createStore({ count: 0 }, { persist: ['count'], storageKey: 'test-state' });
+
+        assert.equal(store.set({ count: 1 }), true);
+        const entry = eventLog.getEntries().at(-1);
+        assert.equal(entry.category, 'state');
+        assert.equal(entry.severity, 'warning');
+        assert.equal(entry.message, 'App state could not be saved: The quota has been exceeded.');
+        assert.equal(console.warn.mock.callCount(), 1);
+    });
+
+    it('reads and writes URL parameters, typed like the initial state', () => {
+        history.replaceState(null, '', '/?tab=tab3&option=a,b&theme=neon');
+        const store = createStore({ tab: 'tab1', option: [], theme: 'system' }, {
+            url: { tab: 'tab', option: 'option', theme: 'theme' },
+            validate: { theme: value => ['system', 'dark'].includes(value) }
+        });
+
+        assert.equal(store.get('tab'), 'tab3');
+        assert.deepEqual(store.get('option'), ['a', 'b']);
+        assert.equal(store.get('theme'), 'system');
+        assert.equal(store.restoredFrom('tab'), 'url');
+
+        store.set({ tab: 'tab1', theme: 'dark' });
+        assert.equal(window.location.search, '?option=a%2Cb&theme=dark');
+    });
+
+    it('follows back/forward for navigation keys only', () => {
+        const store = createStore({ tab: 'tab1', theme: 'system' }, {
+            url: { tab: 'tab', theme: 'theme' },
+            navigation: ['tab']
+        });
+        const sources = [];
+        store.subscribe(null, (state, change) => sources.push(change.source));
+        store.set({ theme: 'dark' });
+
+        history.replaceState(null, '', '/?tab=tab2');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+        assert.deepEqual(store.getState(), { tab: 'tab2', theme: 'dark' });
+        assert.equal(window.location.search, '?tab=tab2&theme=dark');
+
+        history.replaceState(null, '', '/?theme=light');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+        assert.deepEqual(store.getState(), { tab: 'tab1', theme: 'dark' });
+        assert.equal(window.location.search, '?theme=dark');
+        assert.deepEqual(sources, ['set', 'url', 'url']);
+    });
+
+    it('rejects unknown keys', () => {
+        const store = createStore({ count: 0 });
+        assert.throws(() => store.set({ nope: 1 }), /unknown state key "nope"/);
+        assert.throws(() => createStore({ count: 0 }, { persist: ['count'] }), /need a storageKey/);
+        assert.throws(() => createStore({ count: 0 }, { navigation: ['count'] }), /navigation key "count" has no URL parameter/);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+installDom();
+const { createTabs } = require('../src/tabs');
+const { i18n } = require('../src/i18n');
+
+describe('createTabs', () => {
+    let controller;
+    let tabList;
+
+    beforeEach(() => {
+        controller = new AbortController();
+        document.body.innerHTML = `
+            <div class="tabs">
+                <div class="tab-buttons">
+                    <button class="tab-button active" data-tab="one">One</button>
+                    <button class="tab-button" data-tab="two">Two</button>
+                </div>
+                <div id="one">First panel</div>
+                <div id="two">Second panel</div>
+            </div>`;
+        tabList = document.querySelector('.tab-buttons');
+    });
+
+    afterEach(() => {
+        controller.abort();
+        i18n.setLocale('en');
+    });
+
+    it('wires up the tabs pattern roles and relationships', () => {
+        createTabs(tabList, { signal: controller.signal });
+        const [first, second] = tabList.querySelectorAll('.tab-button');
+
+        assert.equal(tabList.getAttribute('role'), 'tablist');
+        assert.equal(first.getAttribute('role'), 'tab');
+        assert.equal(first.getAttribute('aria-selected'), 'true');
+        assert.equal(second.getAttribute('aria-selected'), 'false');
+        assert.equal(document.getElementById('two').getAttribute('aria-labelledby'), second.id);
+    });
+
+    it('names an unlabelled tab list in the page language', () => {
+        createTabs(tabList, { signal: controller.signal });
+        assert.equal(tabList.getAttribute('aria-label'), 'Event topics');
+
+        i18n.setLocale('es');
+        assert.equal(tabList.getAttribute('aria-label'), i18n.t('tabs.label'));
+        assert.notEqual(tabList.getAttribute('aria-label'), 'Event topics');
+    });
+
+    it('keeps a label the markup already gives', () => {
+        tabList.setAttribute('aria-label', 'Chapters');
+        createTabs(tabList, { signal: controller.signal });
+        i18n.setLocale('es');
+        assert.equal(tabList.getAttribute('aria-label'), 'Chapters');
+    });
+});
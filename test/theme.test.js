@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom');
+
+installDom();
+const { createThemeManager, THEME_PREFERENCES } = require('../src/theme');
+
+describe('createThemeManager', () => {
+    let controller;
+    let media;
+    let listeners;
+
+    beforeEach(() => {
+        controller = new AbortController();
+        localStorage.clear();
+        // Media queries the test can flip: { '(prefers-color-scheme: dark)': true, ... }
+        media = {};
+        listeners = [];
+        window.matchMedia = function(query) {
+            return {
+                media: query,
+                get matches() {
+                    return !!media[query];
+                },
+                addEventListener: (type, listener) => listeners.push(listener),
+                removeEventListener: function() {}
+            };
+        };
+    });
+
+    // The OS setting changed
+    function setMedia(query, matches) {
+        media[query] = matches;
+        listeners.forEach(listener => listener());
+    }
+
+    afterEach(() => controller.abort());
+
+    it('follows the system settings until a theme is picked', () => {
+        media['(prefers-color-scheme: dark)'] = true;
+        const manager = createThemeManager({ signal: controller.signal });
+
+        assert.equal(manager.getPreference(), 'system');
+        assert.equal(manager.getTheme(), 'dark');
+        assert.equal(document.documentElement.dataset.theme, 'dark');
+        assert.equal(document.documentElement.dataset.themePreference, 'system');
+
+        media['(prefers-contrast: more)'] = true;
+        assert.equal(createThemeManager({ signal: controller.signal }).getTheme(), 'high-contrast');
+    });
+
+    it('only follows OS changes while the preference is "system"', () => {
+        const manager = createThemeManager({ signal: controller.signal });
+        setMedia('(prefers-color-scheme: dark)', true);
+        assert.equal(manager.getTheme(), 'dark');
+
+        manager.setPreference('light');
+        setMedia('(prefers-color-scheme: dark)', false);
+        setMedia('(prefers-color-scheme: dark)', true);
+        assert.equal(manager.getTheme(), 'light');
+    });
+
+    it('saves the preference and announces the change', () => {
+        const changes = [];
+        document.addEventListener('themechange', e => changes.push(e.detail), { signal: controller.signal });
+        const manager = createThemeManager({ signal: controller.signal });
+
+        manager.setPreference('dark');
+        assert.equal(localStorage.getItem('theme-preference'), 'dark');
+        assert.equal(document.documentElement.dataset.theme, 'dark');
+        assert.deepEqual(changes.at(-1), { preference: 'dark', theme: 'dark', previousTheme: 'light' });
+
+        assert.equal(createThemeManager({ signal: controller.signal }).getPreference(), 'dark');
+    });
+
+    it('applies a theme for this visit only with persist: false', () => {
+        localStorage.setItem('theme-preference', 'light');
+        const manager = createThemeManager({ signal: controller.signal });
+        manager.setPreference('high-contrast', { persist: false });
+
+        assert.equal(manager.getTheme(), 'high-contrast');
+        assert.equal(localStorage.getItem('theme-preference'), 'light');
+    });
+
+    it('ignores saved values it does not know and rejects unknown themes', () => {
+        localStorage.setItem('theme-preference', 'neon');
+        const manager = createThemeManager({ signal: controller.signal });
+
+        assert.equal(manager.getPreference(), 'system');
+        assert.throws(() => manager.setPreference('neon'), new RegExp(`expected one of ${THEME_PREFERENCES.join(', ')}`));
+    });
+});
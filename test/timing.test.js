@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom, installClock } = require('./helpers/dom');
+
+installDom();
+const { throttle, debounce } = require('../src/timing');
+
+describe('throttle', () => {
+    let clock;
+    beforeEach(() => {
+        clock = installClock();
+    });
+    afterEach(() => clock.uninstall());
+
+    it('runs at most once per interval', () => {
+        const calls = [];
+        const throttled = throttle(value => calls.push(value), 100);
+
+        throttled(1);
+        throttled(2);
+        clock.tick(99);
+        throttled(3);
+        clock.tick(1);
+        throttled(4);
+
+        assert.deepEqual(calls, [1, 4]);
+    });
+
+    it('keeps the this and arguments of the call', () => {
+        const target = { name: 'target' };
+        let seen;
+        target.handler = throttle(function(a, b) {
+            seen = [this.name, a, b];
+        }, 50);
+
+        target.handler('x', 'y');
+        assert.deepEqual(seen, ['target', 'x', 'y']);
+    });
+
+    it('sits out while the page is frozen', () => {
+        const calls = [];
+        const throttled = throttle(value => calls.push(value), 100);
+
+        document.dispatchEvent(new Event('freeze'));
+        throttled(1);
+        document.dispatchEvent(new Event('resume'));
+        throttled(2);
+
+        assert.deepEqual(calls, [2]);
+    });
+});
+
+describe('debounce', () => {
+    let clock;
+    beforeEach(() => {
+        clock = installClock();
+    });
+    afterEach(() => clock.uninstall());
+
+    it('runs once, with the last arguments, after the calls stop', () => {
+        const calls = [];
+        const debounced = debounce(value => calls.push(value), 200);
+
+        debounced('a');
+        clock.tick(150);
+        debounced('b');
+        clock.tick(150);
+        assert.deepEqual(calls, []);
+
+        clock.tick(50);
+        assert.deepEqual(calls, ['b']);
+    });
+});